@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Dynorm, dynorm } = require('..');
+
+const USAGE = `Usage: dynorm migrate <module> [options]
+
+Rewrite the outdated items of the models with schemaVersion. The module
+exports the Dynorm instance with the models (or a promise of it), without
+it the models of the default instance are migrated.
+
+Options:
+  --segments <n>       parallel scan segments (default 4)
+  --page-size <n>      items of each scan request
+  --checkpoint <file>  resume from and save the checkpoint to a JSON file
+  --dry-run            only report the outdated and invalid items`;
+
+/**
+ * Options of the command line arguments
+ *
+ * @param {*} args
+ */
+function parseArgs(args) {
+  const opts = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      opts._.push(arg);
+      continue;
+    }
+    const name = arg.slice(2).replace(/-(\w)/g, (m, c) => c.toUpperCase());
+    if (name === 'dryRun' || name === 'help') {
+      opts[name] = true;
+      continue;
+    }
+    if (!['segments', 'pageSize', 'checkpoint'].includes(name)) { throw new Error(`Option ${arg} not supported`); }
+    if (i + 1 >= args.length) { throw new Error(`Option ${arg} requires a value`); }
+    opts[name] = args[++i];
+  }
+  return opts;
+}
+
+/**
+ * Report of the migration with the messages of the errors of the invalid items
+ *
+ * @param {*} report
+ */
+function printable(report) {
+  return Object.assign({}, report, { invalid: report.invalid.map(i => Object.assign({}, i, { error: i.error.message })) });
+}
+
+/**
+ * Migrate the models of the module and print the reports
+ *
+ * @param {*} opts
+ */
+async function migrate(opts) {
+  const [file] = opts._;
+  if (!file) { throw new Error('migrate requires the module of the models'); }
+  let orm = await require(path.resolve(file));
+  if (!(orm instanceof Dynorm)) { orm = (orm && orm.dynorm instanceof Dynorm) ? orm.dynorm : dynorm; }
+
+  const checkpoint = (opts.checkpoint && fs.existsSync(opts.checkpoint)) ? JSON.parse(fs.readFileSync(opts.checkpoint, 'utf8')) : undefined;
+  const onCheckpoint = (opts.checkpoint) ? cp => fs.writeFileSync(opts.checkpoint, JSON.stringify(cp)) : undefined;
+  const reports = await orm.migrate({
+    segments: (opts.segments) ? Number(opts.segments) : undefined,
+    pageSize: (opts.pageSize) ? Number(opts.pageSize) : undefined,
+    dryRun: !!opts.dryRun,
+    checkpoint,
+    onCheckpoint
+  });
+  process.stdout.write(`${JSON.stringify(reports.map(printable), null, 2)}\n`);
+}
+
+/**
+ *
+ * @param {*} args
+ */
+async function main(args) {
+  const [command, ...rest] = args;
+  const opts = parseArgs(rest);
+  if (!command || opts.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (command !== 'migrate') { throw new Error(`Command ${command} not supported`); }
+  await migrate(opts);
+}
+
+main(process.argv.slice(2)).catch(err => {
+  process.stderr.write(`${err.message}\n${USAGE}\n`);
+  process.exitCode = 1;
+});
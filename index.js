@@ -1,6 +1,40 @@
 'use strict';
 
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const Ajv = require('ajv');
+const { MemoryClient } = require('./memory-client');
+
+const UNIQUE_PREFIX = 'UNIQUE';
+const UNIQUE_INDEX_ATTR = 'uniqueIndex';
+const UNIQUE_OWNER_ATTR = 'uniqueOwner';
+
+const UPDATE_OPS = {
+  $set: '$set',
+  $remove: '$remove',
+  $add: '$add',
+  $delete: '$delete',
+  $inc: '$inc',
+  $append: '$append',
+  $prepend: '$prepend',
+  $setifnotexists: '$setIfNotExists'
+};
+
+const HOOK_OPS = ['validate', 'save', 'del', 'update', 'get', 'find'];
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[REDACTED]';
+
+const BATCH_DEFAULTS = { maxAttempts: 8, baseDelay: 50, maxDelay: 5000 };
+
+// Queries in flight when a relation is populated
+const POPULATE_CONCURRENCY = 8;
+
+// Marks the parsed data of an item upgraded to the schemaVersion on read
+const UPGRADED = Symbol('upgraded');
+
+const EXPRESSION_PARAMS = ['KeyConditionExpression', 'ConditionExpression', 'FilterExpression', 'UpdateExpression'];
 
 const reISO = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.\d*))(?:Z|(\+|-)([\d|:]*))?$/;
 
@@ -17,287 +51,2947 @@ function reviver(key, value) {
 }
 
 /**
+ * URL safe base64 without padding
  *
+ * @param {*} buf
  */
-class DynormError extends Error {
-  constructor(msg) {
-    super(msg);
-    this.name = this.constructor.name;
-    Error.captureStackTrace(this, this.constructor);
+function base64url(buf) {
+  return buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Milliseconds of a duration like '30d', '12h' or a number of seconds
+ *
+ * @param {*} value
+ */
+function duration(value) {
+  if (typeof value === 'number') { return value * 1000; }
+  const match = /^(\d+)\s*([smhdw])$/.exec(String(value).trim());
+  if (!match) { throw new DynormError(`Duration ${value} not valid`); }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ *
+ * @param {*} ms
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Results of fn for each value in order, with at most limit calls in flight
+ *
+ * @param {*} values
+ * @param {*} limit
+ * @param {*} fn
+ */
+async function mapLimit(values, limit, fn) {
+  const results = new Array(values.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < values.length) {
+      const i = next++;
+      results[i] = await fn(values[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, values.length) }, worker));
+  return results;
+}
+
+/**
+ * Wait until the table and its global indexes are ACTIVE, DynamoDB rejects
+ * the updates of a table that is being updated or is creating an index
+ *
+ * @param {*} dynamodb
+ * @param {*} tableName
+ * @param {*} delay milliseconds between the describeTable requests
+ * @param {*} maxAttempts
+ */
+async function waitForActive(dynamodb, tableName, delay = 5000, maxAttempts = 360) {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const { Table: table } = await dynamodb.describeTable({ TableName: tableName }).promise();
+    const indexes = table.GlobalSecondaryIndexes || [];
+    if (table.TableStatus === 'ACTIVE' && indexes.every(i => i.IndexStatus === 'ACTIVE')) { return; }
+    await sleep(delay);
   }
+  throw new DynormError(`Table ${tableName} is not ACTIVE after ${maxAttempts} attempts`);
 }
 
 /**
- * 
+ * Milliseconds to wait before a retry, exponential with full jitter
+ *
+ * @param {*} attempt number of the retry from 0
+ * @param {*} opts { baseDelay, maxDelay }
  */
-class Dynorm {
-  #models;
-  #client;
-  #schema;
+function backoff(attempt, opts) {
+  return Math.floor(Math.random() * Math.min(opts.maxDelay, opts.baseDelay * 2 ** attempt));
+}
 
-  constructor() {
-    this.#models = [];
+/**
+ * Copy of a value with the attributes of the names redacted at any depth
+ *
+ * @param {*} value
+ * @param {*} names
+ */
+function redact(value, names) {
+  if (Array.isArray(value)) { return value.map(v => redact(v, names)); }
+  if (value && value.constructor === Object) {
+    return Object.keys(value).reduce((a, k) => { a[k] = (names.includes(k)) ? REDACTED : redact(value[k], names); return a; }, {});
   }
+  return value;
+}
 
-  get client() {
-    return this.#client;
+/**
+ * Copy of DocumentClient params with the sensitive attributes redacted, an
+ * expression value is redacted when the last name before it is sensitive
+ *
+ * @param {*} params
+ * @param {*} names
+ */
+function redactParams(params, names) {
+  if (!names.length) { return params; }
+  if (params.TransactItems) {
+    return Object.assign({}, params, {
+      TransactItems: params.TransactItems.map(item => Object.keys(item).reduce((a, op) => { a[op] = redactParams(item[op], names); return a; }, {}))
+    });
+  }
+  const copy = redact(params, names);
+  const attributeNames = params.ExpressionAttributeNames || {};
+  for (const k of EXPRESSION_PARAMS) {
+    let last;
+    for (const [token] of (params[k] || '').matchAll(/[#:]\w+/g)) {
+      if (token[0] === '#') {
+        last = attributeNames[token];
+      } else if (names.includes(last) && copy.ExpressionAttributeValues) {
+        copy.ExpressionAttributeValues[token] = REDACTED;
+      }
+    }
   }
+  return copy;
+}
 
-  set client(value) {
-    this.#client = value;
+/**
+ * DynamoDB AttributeValue to value, like the DocumentClient the sets are
+ * arrays and the binaries Buffers
+ *
+ * @param {*} attr
+ */
+function unmarshall(attr) {
+  const [type] = Object.keys(attr);
+  const value = attr[type];
+  switch (type) {
+    case 'S':
+    case 'BOOL': return value;
+    case 'N': return Number(value);
+    case 'B': return (Buffer.isBuffer(value)) ? value : Buffer.from(value, 'base64');
+    case 'NULL': return null;
+    case 'SS': return value.slice();
+    case 'NS': return value.map(Number);
+    case 'BS': return value.map(v => unmarshall({ B: v }));
+    case 'L': return value.map(unmarshall);
+    case 'M': return unmarshallItem(value);
+    default: throw new DynormError(`AttributeValue type ${type} not supported`);
   }
+}
 
-  get schema() {
-    return this.#schema;
+/**
+ * DynamoDB item of AttributeValues, like the images of a stream record, to a DocumentClient item
+ *
+ * @param {*} image
+ */
+function unmarshallItem(image) {
+  return Object.keys(image).reduce((a, k) => { a[k] = unmarshall(image[k]); return a; }, {});
+}
+
+/**
+ * Table names of DocumentClient params
+ *
+ * @param {*} params
+ */
+function requestTables(params) {
+  if (params.TableName) { return [params.TableName]; }
+  if (params.RequestItems) { return Object.keys(params.RequestItems); }
+  if (params.TransactItems) {
+    return [...new Set(params.TransactItems.map(item => Object.values(item)[0].TableName))];
   }
+  return [];
+}
 
-  set schema(schema) {
-    this.#schema = schema;
+/**
+ * Number of items read or written by a DocumentClient request
+ *
+ * @param {*} operation
+ * @param {*} params
+ * @param {*} data
+ */
+function requestCount(operation, params, data) {
+  switch (operation) {
+    case 'get': return (data.Item) ? 1 : 0;
+    case 'query':
+    case 'scan': return data.Count;
+    case 'batchGet': return Object.values(data.Responses || {}).reduce((a, c) => a + c.length, 0);
+    case 'batchWrite': return Object.values(params.RequestItems).reduce((a, c) => a + c.length, 0);
+    case 'transactGet': return (data.Responses || []).filter(r => r && r.Item).length;
+    case 'transactWrite': return params.TransactItems.length;
+    default: return 1;
   }
+}
 
-  /**
-   *
-   * @param {*} name
-   * @param {*} schema
-   */
-  model(name, schema) {
-    if (this.#models[name]) { return this.#models[name]; }
-    const model = Model.compile(name, schema, this);
-    this.#models[name] = model;
-    return this.#models[name];
+/**
+ * Deep copy of model data, relation models are not copied
+ *
+ * @param {*} value
+ */
+function clone(value) {
+  if (value instanceof Date) { return new Date(value.getTime()); }
+  if (Array.isArray(value)) { return value.map(clone); }
+  if (value && value.constructor === Object) {
+    return Object.keys(value).reduce((a, c) => { a[c] = clone(value[c]); return a; }, {});
   }
-};
+  return value;
+}
 
-const dynorm = new Dynorm();
+/**
+ * Deep equality of model data
+ *
+ * @param {*} a
+ * @param {*} b
+ */
+function equals(a, b) {
+  if (a instanceof Date && b instanceof Date) { return a.getTime() === b.getTime(); }
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) { return a.equals(b); }
+  if (a && b && a.wrapperName === 'Set' && b.wrapperName === 'Set') { return equals(a.values, b.values); }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => equals(v, b[i]));
+  }
+  if (a && b && a.constructor === Object && b.constructor === Object) {
+    const keys = Object.keys(a).filter(k => a[k] !== undefined);
+    return keys.length === Object.keys(b).filter(k => b[k] !== undefined).length && keys.every(k => equals(a[k], b[k]));
+  }
+  return a === b;
+}
 
 /**
+ * If a unique index is enforced with guard items, the default. With guard:
+ * false the index is checked with an eventually consistent query of the index
  *
+ * @param {*} index
  */
-class Schema {
-  #id;
-  #methods;
-  #statics;
-  #virtuals;
-  #key;
+function hasGuard(index) {
+  return !!index.unique && index.guard !== false;
+}
 
-  #validate;
-  #schema;
-  #schemaName;
+/**
+ * Value of a document path like `address.city` or `tags[2]`
+ *
+ * @param {*} obj
+ * @param {*} path
+ */
+function getPath(obj, path) {
+  return path.split(/\.|(?=\[)/).reduce((value, part) => {
+    if (value === undefined || value === null) { return undefined; }
+    const index = /^\[(\d+)\]$/.exec(part);
+    return (index) ? value[Number(index[1])] : value[part];
+  }, obj);
+}
 
-  constructor(id) {
-    this.#id = id;
-    this.#methods = {};
-    this.#statics = {};
-    this.#virtuals = {};
-    this.#key = {};
+/**
+ * Error of dynorm, details has the model name, the key and the cause
+ */
+class DynormError extends Error {
+  constructor(msg, details = {}) {
+    super(msg);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
 
-    const defSchema = Object.assign({}, dynorm.schema);
-    let schema = null;
-    for (const schemaName in defSchema.definitions) {
-      if (defSchema.definitions[schemaName].$id === this.#id) {
-        schema = defSchema.definitions[schemaName];
-        this.#schemaName = schemaName;
-        break;
-      }
-    }
+/**
+ * Invalid model or property, errors are the ajv errors with the property path
+ */
+class ValidationError extends DynormError {}
 
-    for (const propName in schema.properties) {
-      const prop = schema.properties[propName];
-      const refSchemaName = prop.$ref;
-      if (!refSchemaName || !prop.required) { continue; }
-      defSchema.definitions[refSchemaName].required = prop.required;
-      delete prop.required;
+/**
+ * The model was modified since it was loaded
+ */
+class VersionConflictError extends DynormError {}
 
-      // Delete self reference Schema
-      const refSchema = defSchema.definitions[refSchemaName];
-      for (const refPropName in refSchema.properties) {
-        const refProp = refSchema.properties[refPropName];
-        if (refProp.$ref === this.#schemaName) {
-          delete refSchema.properties[refPropName];
-        }
-      }
-    }
+/**
+ * Create of a model whose key exists
+ */
+class AlreadyExistsError extends DynormError {}
 
-    const ajv = new Ajv();
-    ajv.addSchema(defSchema);
-    this.#validate = ajv.getSchema(id);
-    this.#schema = this.#validate.schema;
+/**
+ * Write of a model whose key not exists
+ */
+class NotFoundError extends DynormError {}
 
-    for (const k in this.#schema.properties) {
-      const prop = this.#schema.properties[k];
-      if (prop.hashKey) { this.#key.hashKey = k; };
-      if (prop.rangeKey) { this.#key.rangeKey = k; };
-    }
-  }
+/**
+ * Another model has the values of a unique index, index has the index name
+ */
+class UniqueConstraintError extends DynormError {}
 
-  get validate() {
-    return this.#validate;
-  }
+/**
+ * Related model not exist or a relation prevents the operation
+ */
+class RelationError extends DynormError {}
 
-  get schema() {
-    return this.#schema;
-  }
+/**
+ * DynamoDB throughput exceeded
+ */
+class ThrottledError extends DynormError {}
 
-  get methods() {
-    return this.#methods;
+/**
+ * Cancelled transaction, reasons has the model, operation and key of each failed item
+ */
+class TransactionError extends DynormError {
+  constructor(msg, reasons = []) {
+    super(msg);
+    this.reasons = reasons;
   }
+}
 
-  get statics() {
-    return this.#statics;
-  }
+/**
+ * Access to an item of another owner or tenant
+ */
+class AccessError extends DynormError {}
 
-  get virtuals() {
-    return this.#virtuals;
-  }
+const THROTTLING_CODES = ['ProvisionedThroughputExceededException', 'ThrottlingException', 'RequestLimitExceeded', 'ThrottlingError'];
 
-  get properties() {
-    return this.#schema.properties;
+/**
+ * Typed error of an AWS error, the errors without a type are returned as they are
+ *
+ * @param {*} err
+ * @param {*} details
+ */
+function awsError(err, details = {}) {
+  if (err instanceof DynormError) { return err; }
+  if (THROTTLING_CODES.includes(err.code)) {
+    return new ThrottledError(err.message, Object.assign({ cause: err }, details));
   }
+  return err;
+}
 
-  get version() {
-    for (const k in this.#schema.properties) {
-      const prop = this.#schema.properties[k];
-      if (prop.version) {
-        return k;
+/**
+ * CreateTable params of the models of a single table, the key schema and
+ * the types of the attributes have to match, the indexes are merged
+ *
+ * @param {*} tableParams createTableParams() of each model
+ */
+function mergeTableParams(tableParams) {
+  const merged = clone(tableParams[0]);
+  const keys = index => JSON.stringify(index.KeySchema);
+  for (const params of tableParams.slice(1)) {
+    if (keys(params) !== keys(merged)) {
+      throw new DynormError(`Table ${merged.TableName} key schema differs between models`);
+    }
+    for (const attribute of params.AttributeDefinitions) {
+      const current = merged.AttributeDefinitions.find(a => a.AttributeName === attribute.AttributeName);
+      if (!current) {
+        merged.AttributeDefinitions.push(clone(attribute));
+      } else if (current.AttributeType !== attribute.AttributeType) {
+        throw new DynormError(`Table ${merged.TableName} attribute ${attribute.AttributeName} type differs between models`);
       }
     }
-  }
-
-  get owner() {
-    for (const k in this.#schema.properties) {
-      const prop = this.#schema.properties[k];
-      if (prop.owner) {
-        return k;
+    for (const type of ['GlobalSecondaryIndexes', 'LocalSecondaryIndexes']) {
+      for (const index of params[type] || []) {
+        const current = (merged[type] || []).find(i => i.IndexName === index.IndexName);
+        if (!current) {
+          merged[type] = (merged[type] || []).concat(clone(index));
+        } else if (keys(current) !== keys(index)) {
+          throw new DynormError(`Table ${merged.TableName} index ${index.IndexName} key schema differs between models`);
+        }
       }
     }
+    if (!merged.StreamSpecification && params.StreamSpecification) { merged.StreamSpecification = clone(params.StreamSpecification); }
   }
+  return merged;
+}
 
-  get tableName() {
-    return this.#schema.tableName;
+const JSON_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * Built-in type codecs of dynorm.type()
+ */
+const BUILTIN_TYPES = {
+  // Arrays with uniqueItems of strings or numbers are String or Number Sets, that can not be empty
+  set: {
+    jsonSchema: { type: 'array', uniqueItems: true },
+    toDynamo: (value, prop, orm) => {
+      if (!value.length) { return undefined; }
+      return (orm.client && orm.client.createSet) ? orm.client.createSet(value) : value;
+    },
+    fromDynamo: value => (value && value.wrapperName === 'Set') ? value.values.slice() : value
+  },
+  binary: {
+    jsonSchema: {},
+    attributeType: 'B',
+    toDynamo: value => (Buffer.isBuffer(value)) ? value : Buffer.from(value, 'base64'),
+    fromDynamo: value => Buffer.from(value)
+  },
+  // Decimal numbers and BigInt are strings, without the precision loss of numbers
+  decimal: {
+    jsonSchema: { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$' },
+    toDynamo: value => String(value),
+    fromDynamo: value => String(value)
+  },
+  // The index of the value in the enum
+  enum: {
+    jsonSchema: { type: 'string' },
+    attributeType: 'N',
+    toDynamo: (value, prop) => prop.enum.indexOf(value),
+    fromDynamo: (value, prop) => (typeof value === 'number') ? prop.enum[value] : value
   }
+};
 
-  get timestamps() {
-    return this.#schema.timestamps;
+/**
+ * Models, client and options, it emits an `operation` event after each
+ * DocumentClient request. Each instance has its own models, so several
+ * configurations can be used in a process
+ *
+ * const prod = new Dynorm({ client, schema, tablePrefix: 'prod-' });
+ */
+class Dynorm extends EventEmitter {
+  #models;
+  #client;
+  #dynamodb;
+  #schema;
+  #cursor;
+  #access;
+  #types;
+  #logger;
+  #logLevel;
+  #batch;
+  #tablePrefix;
+  #tableSuffix;
+
+  /**
+   *
+   * @param {*} opts { client, dynamodb, schema, tablePrefix, tableSuffix, cursor, access, logger, logLevel, batch }
+   */
+  constructor(opts = {}) {
+    super();
+    this.#models = [];
+    this.#types = Object.assign({}, BUILTIN_TYPES);
+    this.#logger = console;
+    this.#logLevel = 'warn';
+    this.#tablePrefix = '';
+    this.#tableSuffix = '';
+    for (const k of ['client', 'dynamodb', 'schema', 'tablePrefix', 'tableSuffix', 'cursor', 'access', 'logger', 'logLevel', 'batch']) {
+      if (opts[k] !== undefined) { this[k] = opts[k]; }
+    }
   }
 
-  get indexes() {
-    return this.#schema.indexes;
+  get client() {
+    return this.#client;
   }
 
-  get key() {
-    return this.#key;
+  set client(value) {
+    this.#client = value;
   }
 
   /**
-   * Model to DynamoDB Item
-   *
-   * @param {*} model
+   * DynamoDB service client to manage tables, by default the service of the DocumentClient
    */
-  toDynamo(model) {
-    const item = {};
-    for (const k in this.#schema.properties) {
-      if (model[k] === undefined) { continue; };
-      const prop = this.#schema.properties[k];
-      if (prop.$ref) {
-        for (const key in prop.join) {
-          const v = prop.join[key];
-          item[key] = model[k][v];
-        }
-      } else {
-        if (model[k] instanceof Date) {
-          item[k] = model[k].valueOf();
-        } else {
-          item[k] = model[k];
-        }
+  get dynamodb() {
+    return this.#dynamodb || (this.#client && this.#client.service);
+  }
+
+  set dynamodb(value) {
+    this.#dynamodb = value;
+  }
+
+  get schema() {
+    return this.#schema;
+  }
+
+  set schema(schema) {
+    this.#schema = schema;
+  }
+
+  /**
+   * Prefix and suffix of the table names of the models, like 'dev-' for a stage
+   */
+  get tablePrefix() {
+    return this.#tablePrefix;
+  }
+
+  set tablePrefix(value) {
+    this.#tablePrefix = value || '';
+  }
+
+  get tableSuffix() {
+    return this.#tableSuffix;
+  }
+
+  set tableSuffix(value) {
+    this.#tableSuffix = value || '';
+  }
+
+  /**
+   * Cursor options { secret, encrypt }, with secret the cursors are signed
+   * and with encrypt they are also encrypted
+   */
+  get cursor() {
+    return this.#cursor;
+  }
+
+  set cursor(value) {
+    this.#cursor = value;
+  }
+
+  /**
+   * Access options { bypassRoles } of Model.as(principal), the principals
+   * with a bypass role are not restricted to their own items, the tenant
+   * restriction always applies
+   */
+  get access() {
+    return this.#access;
+  }
+
+  set access(value) {
+    this.#access = value;
+  }
+
+  /**
+   * Retry options { maxAttempts, baseDelay, maxDelay } of the unprocessed
+   * items of the batch requests
+   */
+  get batch() {
+    return Object.assign({}, BATCH_DEFAULTS, this.#batch);
+  }
+
+  set batch(value) {
+    this.#batch = value;
+  }
+
+  /**
+   * Logger with debug, info, warn and error methods that receive a message
+   * and data, console by default
+   */
+  get logger() {
+    return this.#logger;
+  }
+
+  set logger(value) {
+    this.#logger = value;
+  }
+
+  /**
+   * Minimum level logged: debug, info, warn, error or silent, warn by
+   * default. At debug the requests params are logged
+   */
+  get logLevel() {
+    return this.#logLevel;
+  }
+
+  set logLevel(value) {
+    if (!(value in LOG_LEVELS)) { throw new DynormError(`Log level ${value} not supported`); }
+    this.#logLevel = value;
+  }
+
+  /**
+   * If the messages of a level are logged
+   *
+   * @param {*} level
+   */
+  isLogging(level) {
+    return !!this.#logger && LOG_LEVELS[level] >= LOG_LEVELS[this.#logLevel];
+  }
+
+  /**
+   *
+   * @param {*} level
+   * @param {*} msg
+   * @param {*} data
+   */
+  log(level, msg, data) {
+    if (!this.isLogging(level) || typeof this.#logger[level] !== 'function') { return; }
+    this.#logger[level](msg, data);
+  }
+
+  /**
+   * Attribute names of the sensitive properties of the models of the tables
+   *
+   * @param {*} tables
+   */
+  sensitiveAttributes(tables) {
+    const models = Object.values(this.#models).filter(m => tables.includes(m.schema.tableName));
+    return [...new Set(models.reduce((a, m) => a.concat(m.schema.sensitive), []))];
+  }
+
+  /**
+   * Send a DocumentClient request, log its params at debug level and emit
+   * the `operation` event { operation, model, tables, duration,
+   * consumedCapacity, retries, count, error }. With listeners the consumed
+   * capacity is requested
+   *
+   * dynorm.on('operation', e => metrics.timing(`dynamodb.${e.operation}`, e.duration))
+   *
+   * @param {*} operation DocumentClient method
+   * @param {*} params
+   * @param {*} meta { model, retries } retries of the unprocessed items
+   */
+  async request(operation, params, meta = {}) {
+    const tables = requestTables(params);
+    if (this.isLogging('debug')) {
+      this.log('debug', `[dynorm] ${operation} ${tables.join(', ')}`, redactParams(params, this.sensitiveAttributes(tables)));
+    }
+    const instrumented = this.listenerCount('operation') > 0;
+    if (instrumented && !params.ReturnConsumedCapacity) {
+      params = Object.assign({}, params, { ReturnConsumedCapacity: 'TOTAL' });
+    }
+
+    const start = Date.now();
+    const request = this.#client[operation](params);
+    let data;
+    try {
+      data = await request.promise();
+    } catch (err) {
+      if (instrumented) {
+        const retries = (meta.retries || 0) + (err.retryCount || 0);
+        this.emit('operation', { operation, model: meta.model, tables, duration: Date.now() - start, retries, count: 0, error: err });
       }
+      throw err;
     }
-    return item;
+    if (instrumented) {
+      const retries = (meta.retries || 0) + ((request.response && request.response.retryCount) || 0);
+      const event = {
+        operation,
+        model: meta.model,
+        tables,
+        duration: Date.now() - start,
+        consumedCapacity: data.ConsumedCapacity,
+        retries,
+        count: requestCount(operation, params, data)
+      };
+      this.emit('operation', event);
+    }
+    return data;
   }
 
   /**
-   * DynamoDB Item to Model
+   * Opaque cursor string of a payload
    *
-   * @param {*} item
+   * @param {*} payload
    */
-  parseDynamo(item) {
-    const model = {};
-    for (const k in this.#schema.properties) {
-      const prop = this.#schema.properties[k];
-      if (prop.$ref) {
-        if (item[k]) {
-          model[k] = item[k];
-        } else {
-          const key = Object.keys(prop.join)[0];
-          if (!item[key]) { continue; }
-          const fk = prop.join[key];
-          model[k] = {};
-          model[k][fk] = item[key];
-        }
-      } else {
-        if (item[k] === undefined) { continue; };
-        if (prop.format === 'date-time' || prop.format === 'date') {
-          model[k] = new Date(item[k]);
-        } else {
-          model[k] = item[k];
+  encodeCursor(payload) {
+    const json = Buffer.from(JSON.stringify(payload));
+    const { secret, encrypt } = this.#cursor || {};
+    if (!secret) { return base64url(json); }
+
+    const key = crypto.createHash('sha256').update(secret).digest();
+    if (encrypt) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const data = Buffer.concat([cipher.update(json), cipher.final()]);
+      return base64url(Buffer.concat([iv, cipher.getAuthTag(), data]));
+    }
+    const signature = crypto.createHmac('sha256', key).update(json).digest();
+    return `${base64url(json)}.${base64url(signature)}`;
+  }
+
+  /**
+   * Payload of a cursor string, throw if the cursor is invalid or was modified
+   *
+   * @param {*} cursor
+   */
+  decodeCursor(cursor) {
+    const { secret, encrypt } = this.#cursor || {};
+    try {
+      if (!secret) { return JSON.parse(Buffer.from(cursor, 'base64').toString()); }
+
+      const key = crypto.createHash('sha256').update(secret).digest();
+      if (encrypt) {
+        const buf = Buffer.from(cursor, 'base64');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.slice(0, 12));
+        decipher.setAuthTag(buf.slice(12, 28));
+        return JSON.parse(Buffer.concat([decipher.update(buf.slice(28)), decipher.final()]).toString());
+      }
+      const [data, signature] = cursor.split('.');
+      const json = Buffer.from(data, 'base64');
+      const expected = crypto.createHmac('sha256', key).update(json).digest();
+      const actual = Buffer.from(signature || '', 'base64');
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new DynormError('Invalid cursor signature');
+      }
+      return JSON.parse(json.toString());
+    } catch (err) {
+      throw new DynormError('Invalid cursor');
+    }
+  }
+
+  /**
+   * Register a type codec { toDynamo, fromDynamo, jsonSchema, attributeType }
+   * used by the properties with that type, without codec return the codec
+   *
+   * dynorm.type('money', { jsonSchema: { type: 'integer' }, toDynamo: v => Math.round(v * 100), fromDynamo: v => v / 100 })
+   *
+   * @param {*} name
+   * @param {*} codec
+   */
+  type(name, codec) {
+    if (codec === undefined) { return this.#types[name]; }
+    if (JSON_TYPES.includes(name)) { throw new DynormError(`Type ${name} is a JSON Schema type`); }
+    if (typeof codec.toDynamo !== 'function' || typeof codec.fromDynamo !== 'function') {
+      throw new DynormError(`Type ${name} requires toDynamo and fromDynamo`);
+    }
+    this.#types[name] = codec;
+    return this;
+  }
+
+  /**
+   * Compile a model with a schema of this instance, new Schema(id, orm),
+   * without schema return the compiled model
+   *
+   * @param {*} name
+   * @param {*} schema
+   */
+  model(name, schema) {
+    if (this.#models[name]) { return this.#models[name]; }
+    if (!schema) { return undefined; }
+    if (schema.orm !== this) { throw new DynormError(`Schema ${name} belongs to another Dynorm instance`); }
+    const model = Model.compile(name, schema, this);
+    this.#models[name] = model;
+    return this.#models[name];
+  }
+
+  /**
+   * Compiled model of an entity type of a table
+   *
+   * @param {*} tableName
+   * @param {*} entity
+   */
+  entityModel(tableName, entity) {
+    return Object.values(this.#models).find(m => m.schema.tableName === tableName && m.schema.entity === entity);
+  }
+
+  /**
+   * The $ref properties with onDelete of the compiled models that reference a model
+   *
+   * @param {*} name
+   */
+  references(name) {
+    const references = [];
+    for (const RefModel of Object.values(this.#models)) {
+      const properties = RefModel.schema.properties;
+      for (const field in properties) {
+        const { $ref, onDelete } = properties[field];
+        if ($ref !== name || !onDelete) { continue; }
+        if (!['restrict', 'cascade', 'setNull'].includes(onDelete)) {
+          throw new DynormError(`Property ${field} onDelete ${onDelete} not supported`);
         }
+        references.push({ Model: RefModel, field, onDelete });
       }
     }
-    return model;
+    return references;
   }
 
   /**
+   * Create the missing tables and indexes of the compiled models, without
+   * apply only report the differences. The models of a single table are
+   * synchronized once with the indexes of all of them
    *
-   * @param {*} json
+   * @param {*} opts { apply, waitDelay }
    */
-  parseJSON(json) {
-    return JSON.stringify(json, reviver);
+  async sync(opts = {}) {
+    const tables = {};
+    for (const Model of Object.values(this.#models)) {
+      const tableName = Model.schema.tableName;
+      tables[tableName] = (tables[tableName] || []).concat(Model);
+    }
+    const reports = [];
+    for (const models of Object.values(tables)) {
+      const params = mergeTableParams(models.map(Model => Model.schema.createTableParams()));
+      // The TTL is enabled from the model that has a ttl property
+      const Model = models.find(M => M.schema.ttl) || models[0];
+      reports.push(await Model.syncTable(Object.assign({}, opts, { params })));
+    }
+    return reports;
   }
-}
+
+  /**
+   * Rewrite the outdated items of the models with schemaVersion, the
+   * checkpoint has the checkpoint of each model
+   *
+   * await dynorm.migrate({ segments: 8, checkpoint: saved, onCheckpoint: cp => save(cp) })
+   *
+   * @param {*} opts { segments, pageSize, dryRun, checkpoint, onCheckpoint }
+   */
+  async migrate(opts = {}) {
+    const reports = [];
+    const checkpoints = Object.assign({}, opts.checkpoint);
+    for (const Model of Object.values(this.#models)) {
+      if (!Model.schema.schemaVersion) { continue; }
+      const onCheckpoint = async checkpoint => {
+        checkpoints[Model.name] = checkpoint;
+        if (opts.onCheckpoint) { await opts.onCheckpoint(Object.assign({}, checkpoints)); }
+      };
+      reports.push(await Model.migrate(Object.assign({}, opts, { checkpoint: checkpoints[Model.name], onCheckpoint })));
+    }
+    return reports;
+  }
+
+  /**
+   * Lambda handler of DynamoDB stream events that dispatches the records to
+   * the insert, modify and remove handlers of the models by the table and
+   * the entity type. The handlers receive the change of fromStreamRecord()
+   * and the record. The records after a failed record are not processed and
+   * are returned in batchItemFailures to be retried
+   *
+   * exports.handler = dynorm.streamHandler({ User: { insert: async ({ newModel }) => {}, remove: async ({ oldModel }) => {} } })
+   *
+   * @param {*} handlers handlers of each model name
+   */
+  streamHandler(handlers) {
+    for (const name in handlers) {
+      if (!this.#models[name]) { throw new DynormError(`Model ${name} not exist`); }
+      for (const op in handlers[name]) {
+        if (!['insert', 'modify', 'remove'].includes(op)) { throw new DynormError(`Stream event ${op} not supported`); }
+      }
+    }
+
+    return async event => {
+      const records = event.Records || [];
+      for (let i = 0; i < records.length; i++) {
+        const record = records[i];
+        try {
+          const StreamModel = this.streamModel(record);
+          const handler = StreamModel && (handlers[StreamModel.name] || {})[record.eventName.toLowerCase()];
+          if (handler) { await handler(StreamModel.fromStreamRecord(record), record); }
+        } catch (err) {
+          this.log('error', `[dynorm] stream record ${record.eventID} failed`, err);
+          return { batchItemFailures: records.slice(i).map(r => ({ itemIdentifier: r.dynamodb.SequenceNumber })) };
+        }
+      }
+      return { batchItemFailures: [] };
+    };
+  }
+
+  /**
+   * Compiled model of the item of a stream record, by the table of the
+   * event source ARN and the entity type. Undefined for the guard items
+   *
+   * @param {*} record
+   */
+  streamModel(record) {
+    const match = /:table\/([^/]+)\//.exec(record.eventSourceARN || '');
+    if (!match) { throw new DynormError(`Stream record ${record.eventID} without table`); }
+    const tableName = match[1];
+    const image = record.dynamodb.NewImage || record.dynamodb.OldImage || record.dynamodb.Keys;
+    if (image[UNIQUE_INDEX_ATTR]) { return undefined; }
+    const models = Object.values(this.#models).filter(m => m.schema.tableName === tableName);
+    const entity = models.length && image[models[0].schema.entityAttribute];
+    if (entity) { return this.entityModel(tableName, unmarshall(entity)); }
+    return models.find(m => !m.schema.entity);
+  }
+
+  /**
+   * Write atomically the operations added to the transaction
+   *
+   * dynorm.transaction(async tx => { tx.save(order); tx.del(cartItem); tx.update(Stock, key, update); tx.check(User, key, cond); })
+   *
+   * @param {*} fn function that receives the Transaction
+   * @param {*} opts { principal } restricts the operations to the items of the principal
+   */
+  async transaction(fn, opts = {}) {
+    const tx = new Transaction(opts.principal);
+    await fn(tx);
+    await tx.write(this);
+  }
+
+  /**
+   * Read atomically the models added to the transaction, null when not exist
+   *
+   * const [user, order] = await dynorm.transactGet(tx => { tx.get(User, key); tx.get(Order, key); })
+   *
+   * @param {*} fn function that receives the Transaction
+   * @param {*} opts { principal } restricts the operations to the items of the principal
+   */
+  async transactGet(fn, opts = {}) {
+    const tx = new Transaction(opts.principal);
+    await fn(tx);
+    return tx.read(this);
+  }
+};
+
+const dynorm = new Dynorm();
 
 /**
  *
  */
-class Model {
-  _isNew;
-  _data;
+class Schema {
+  #orm;
+  #id;
+  #methods;
+  #statics;
+  #virtuals;
+  #hooks;
+  #upgrades;
+  #key;
 
-  constructor(data = {}, isNew = true) {
-    this._isNew = isNew;
-    this._data = data;
-  }
+  #ajv;
+  #validate;
+  #schema;
+  #schemaName;
+  #definitions;
 
   /**
-   * Create a new Model whith a schema
    *
-   * @param {*} name
-   * @param {*} schema
-   * @param {*} orm
+   * @param {*} id $id of the definition
+   * @param {*} orm Dynorm instance of the definitions and types, the default instance by default
    */
-  static compile(name, schema, orm) {
-    /**
-     *  Model Definition
-     */
-    class NewModel extends Model {
-      #schema;
-      #orm;
-      #orig;
+  constructor(id, orm = dynorm) {
+    this.#orm = orm;
+    this.#id = id;
+    this.#methods = {};
+    this.#statics = {};
+    this.#virtuals = {};
+    this.#hooks = { pre: {}, post: {} };
+    this.#upgrades = {};
+    this.#key = {};
 
-      constructor(data, isNew) {
-        super(data, isNew);
-        this.#schema = schema;
-        this.#orm = orm;
-        this.#orig = Object.assign({}, data);
+    // The definitions are edited below, the ones of the orm are left as they are
+    const defSchema = clone(orm.schema || {});
+    let schema = null;
+    for (const schemaName in defSchema.definitions) {
+      if (defSchema.definitions[schemaName].$id === this.#id) {
+        schema = defSchema.definitions[schemaName];
+        this.#schemaName = schemaName;
+        break;
+      }
+    }
+    if (!schema) { throw new DynormError(`Schema ${id} not exist`); }
 
-        for (const k in this.#schema.properties) {
-          // Generate Get/Set funtions to schema properties
-          Object.defineProperty(this, k, {
-            get: function () { return Reflect.get(this._data, k); },
-            set: function (value) { Reflect.set(this._data, k, value); }
-          });
+    for (const propName in schema.properties) {
+      const prop = schema.properties[propName];
+      const refSchemaName = prop.$ref;
+      if (!refSchemaName || !prop.required) { continue; }
+      defSchema.definitions[refSchemaName].required = prop.required;
+      delete prop.required;
 
-          // Initialize the default values of model
+      // Delete self reference Schema
+      const refSchema = defSchema.definitions[refSchemaName];
+      for (const refPropName in refSchema.properties) {
+        const refProp = refSchema.properties[refPropName];
+        if (refProp.$ref === this.#schemaName) {
+          delete refSchema.properties[refPropName];
+        }
+      }
+    }
+
+    // Properties with a codec type are validated with the JSON Schema of the codec
+    const convert = node => {
+      if (!node || typeof node !== 'object') { return; }
+      if (typeof node.type === 'string' && !JSON_TYPES.includes(node.type)) {
+        const codec = orm.type(node.type);
+        if (!codec) { throw new DynormError(`Type ${node.type} not exist`); }
+        const { type, ...rest } = node;
+        Object.keys(node).forEach(k => delete node[k]);
+        Object.assign(node, codec.jsonSchema, rest, { codec: type });
+      }
+      Object.values(node.properties || {}).forEach(convert);
+      [].concat(node.items || []).forEach(convert);
+      convert(node.additionalProperties);
+    };
+    Object.values(defSchema.definitions).forEach(convert);
+    this.#definitions = defSchema.definitions;
+
+    const ajv = new Ajv();
+    ajv.addSchema(defSchema);
+    this.#ajv = ajv;
+    this.#validate = ajv.getSchema(id);
+    this.#schema = this.#validate.schema;
+
+    for (const k in this.#schema.properties) {
+      const prop = this.#schema.properties[k];
+      if (prop.hashKey) { this.#key.hashKey = k; };
+      if (prop.rangeKey) { this.#key.rangeKey = k; };
+    }
+    if (this.#schema.softDelete && !this.#schema.properties.deletedAt) {
+      throw new DynormError(`Schema ${id} softDelete requires the deletedAt property`);
+    }
+    // The guard items store UNIQUE#... ids in the key attributes of the table
+    for (const k in this.#schema.indexes) {
+      const index = this.#schema.indexes[k];
+      if (!hasGuard(index)) { continue; }
+      for (const keyName of Object.values(this.#key)) {
+        const type = this.attributeType(keyName);
+        if (type !== 'S') { throw new DynormError(`Schema ${id} unique index ${k} guard requires string table keys, ${keyName} is ${type}, set guard: false to check it with a query`); }
+      }
+    }
+  }
+
+  get validate() {
+    return this.#validate;
+  }
+
+  get orm() {
+    return this.#orm;
+  }
+
+  get schema() {
+    return this.#schema;
+  }
+
+  get methods() {
+    return this.#methods;
+  }
+
+  get statics() {
+    return this.#statics;
+  }
+
+  get virtuals() {
+    return this.#virtuals;
+  }
+
+  get properties() {
+    return this.#schema.properties;
+  }
+
+  /**
+   * Add a hook to run before an operation, throw to abort it. The hooks receive:
+   *
+   * validate: (model)
+   * save, del: (model, params)
+   * update, get, find: (Model, params)
+   *
+   * @param {*} op validate, save, del, update, get or find
+   * @param {*} fn
+   */
+  pre(op, fn) {
+    return this._hook('pre', op, fn);
+  }
+
+  /**
+   * Add a hook to run after an operation. The hooks receive:
+   *
+   * validate: (model)
+   * save, del: (model, params)
+   * update: (Model, params, model)
+   * get: (model or null, params)
+   * find: (result, params)
+   *
+   * @param {*} op validate, save, del, update, get or find
+   * @param {*} fn
+   */
+  post(op, fn) {
+    return this._hook('post', op, fn);
+  }
+
+  /**
+   * Run in order the hooks of an operation
+   *
+   * @param {*} type pre or post
+   * @param {*} op
+   * @param  {...any} args
+   */
+  async callHooks(type, op, ...args) {
+    for (const fn of this.#hooks[type][op] || []) {
+      await fn(...args);
+    }
+  }
+
+  /**
+   * Add the function that upgrades a DynamoDB item from a version to the
+   * next, it receives a copy of the item and returns the upgraded item.
+   * The items without version are version 1
+   *
+   * schema.upgrade(1, item => { item.fullName = `${item.first} ${item.last}`; return item; })
+   *
+   * @param {*} fromVersion
+   * @param {*} fn
+   */
+  upgrade(fromVersion, fn) {
+    if (typeof fn !== 'function') { throw new DynormError(`Upgrade ${fromVersion} requires a function`); }
+    if (!this.schemaVersion || fromVersion >= this.schemaVersion) {
+      throw new DynormError(`Upgrade ${fromVersion} is not below the schemaVersion ${this.schemaVersion}`);
+    }
+    this.#upgrades[fromVersion] = fn;
+    return this;
+  }
+
+  _hook(type, op, fn) {
+    if (!HOOK_OPS.includes(op)) { throw new DynormError(`Hook ${op} not supported`); }
+    if (typeof fn !== 'function') { throw new DynormError(`Hook ${op} requires a function`); }
+    if (!this.#hooks[type][op]) { this.#hooks[type][op] = []; }
+    this.#hooks[type][op].push(fn);
+    return this;
+  }
+
+  get version() {
+    for (const k in this.#schema.properties) {
+      const prop = this.#schema.properties[k];
+      if (prop.version) {
+        return k;
+      }
+    }
+  }
+
+  get owner() {
+    for (const k in this.#schema.properties) {
+      const prop = this.#schema.properties[k];
+      if (prop.owner) {
+        return k;
+      }
+    }
+  }
+
+  get tenant() {
+    for (const k in this.#schema.properties) {
+      const prop = this.#schema.properties[k];
+      if (prop.tenant) {
+        return k;
+      }
+    }
+  }
+
+  /**
+   * Table name with the prefix and suffix of the Dynorm instance
+   */
+  get tableName() {
+    if (!this.#schema.tableName) { return this.#schema.tableName; }
+    return `${this.#orm.tablePrefix}${this.#schema.tableName}${this.#orm.tableSuffix}`;
+  }
+
+  /**
+   * Names of the properties with sensitive: true, also of the nested
+   * properties, their values are redacted in the logs
+   */
+  get sensitive() {
+    const names = [];
+    const walk = prop => {
+      if (!prop || typeof prop !== 'object') { return; }
+      for (const k in prop.properties) {
+        if (prop.properties[k].sensitive) { names.push((prop === this.#schema) ? this.attributeName(k) : k); }
+        walk(prop.properties[k]);
+      }
+      (Array.isArray(prop.items) ? prop.items : [prop.items]).forEach(walk);
+      if (typeof prop.additionalProperties === 'object') { walk(prop.additionalProperties); }
+    };
+    walk(this.#schema);
+    return names;
+  }
+
+  get timestamps() {
+    return this.#schema.timestamps;
+  }
+
+  /**
+   * With softDelete del() sets the deletedAt (and deletedBy) properties
+   * and the deleted items are hidden unless withDeleted is set
+   */
+  get softDelete() {
+    return this.#schema.softDelete;
+  }
+
+  /**
+   * If the model or DynamoDB item is soft deleted
+   *
+   * @param {*} data
+   */
+  isDeleted(data) {
+    return !!(this.#schema.softDelete && data && data.deletedAt !== undefined && data.deletedAt !== null);
+  }
+
+  get indexes() {
+    return this.#schema.indexes;
+  }
+
+  get ttl() {
+    for (const k in this.#schema.properties) {
+      const prop = this.#schema.properties[k];
+      if (prop.ttl) {
+        return k;
+      }
+    }
+  }
+
+  /**
+   * Relations loaded by populate that are not properties of the item:
+   * { orders: { hasMany: 'Order', foreignKey: 'customer' }, tags: { manyToMany: 'Tag', through: 'PostTag', foreignKey: 'post', otherKey: 'tag' } }
+   */
+  get relations() {
+    return this.#schema.relations || {};
+  }
+
+  get entity() {
+    return this.#schema.entity;
+  }
+
+  get entityAttribute() {
+    return this.#schema.entityAttribute || '_type';
+  }
+
+  /**
+   * Version of the schema stamped on the items, the items of previous
+   * versions are upgraded on read
+   */
+  get schemaVersion() {
+    return this.#schema.schemaVersion;
+  }
+
+  get schemaVersionAttribute() {
+    return this.#schema.schemaVersionAttribute || '_schemaVersion';
+  }
+
+  /**
+   * Schema version of a DynamoDB item
+   *
+   * @param {*} item
+   */
+  itemVersion(item) {
+    return item[this.schemaVersionAttribute] || 1;
+  }
+
+  /**
+   * DynamoDB item upgraded to the schemaVersion, the item itself when it is
+   * not outdated
+   *
+   * @param {*} item
+   */
+  upgradeItem(item) {
+    const latest = this.schemaVersion;
+    if (!latest || !item || this.itemVersion(item) >= latest) { return item; }
+    let upgraded = clone(item);
+    for (let version = this.itemVersion(item); version < latest; version++) {
+      const fn = this.#upgrades[version];
+      if (!fn) { throw new DynormError(`Schema ${this.#id} upgrade from version ${version} not exist`); }
+      upgraded = fn(upgraded) || upgraded;
+    }
+    upgraded[this.schemaVersionAttribute] = latest;
+    return upgraded;
+  }
+
+  get jsonOptions() {
+    return this.#schema.toJSON || {};
+  }
+
+  get stream() {
+    const stream = this.#schema.stream;
+    return (stream === true) ? 'NEW_AND_OLD_IMAGES' : stream;
+  }
+
+  get key() {
+    return this.#key;
+  }
+
+  /**
+   * If the table has unique guard items
+   */
+  get guarded() {
+    return Object.values(this.#schema.indexes || {}).some(hasGuard);
+  }
+
+  /**
+   * Model to DynamoDB Item
+   *
+   * @param {*} model
+   */
+  toDynamo(model) {
+    const item = {};
+    for (const k in this.#schema.properties) {
+      const prop = this.#schema.properties[k];
+      if (prop.template) {
+        const value = this.composeKey(k, model);
+        if (value !== undefined) { item[k] = value; }
+        continue;
+      }
+      if (model[k] === undefined) { continue; };
+      if (prop.$ref) {
+        for (const key in prop.join) {
+          const v = prop.join[key];
+          item[key] = model[k][v];
+        }
+      } else {
+        const value = this.marshal(prop, model[k]);
+        if (value !== undefined) { item[k] = value; }
+      }
+    }
+    if (this.entity) { item[this.entityAttribute] = this.entity; }
+    if (this.schemaVersion) { item[this.schemaVersionAttribute] = this.schemaVersion; }
+
+    // Index keys can not be empty strings, without them the item is not in the index
+    for (const index of Object.values(this.#schema.indexes || {})) {
+      for (const k of [index.hashKey, index.rangeKey]) {
+        if (k && item[this.attributeName(k)] === '') { delete item[this.attributeName(k)]; }
+      }
+    }
+    return item;
+  }
+
+  /**
+   * DynamoDB Item to Model, the outdated items are upgraded first. The
+   * upgrades need the whole item, so partial items (opts.partial) of a
+   * projection or a key are not upgraded
+   *
+   * @param {*} item
+   * @param {*} opts { partial }
+   */
+  parseDynamo(item, opts = {}) {
+    const model = {};
+    const upgraded = (opts.partial) ? item : this.upgradeItem(item);
+    if (upgraded !== item) {
+      Object.defineProperty(model, UPGRADED, { value: this.itemVersion(item) });
+      item = upgraded;
+    }
+    for (const k in this.#schema.properties) {
+      const prop = this.#schema.properties[k];
+      if (prop.template) { continue; }
+      if (prop.$ref) {
+        if (item[k]) {
+          model[k] = item[k];
+        } else {
+          const key = Object.keys(prop.join)[0];
+          if (!item[key]) { continue; }
+          const fk = prop.join[key];
+          model[k] = {};
+          model[k][fk] = item[key];
+        }
+      } else {
+        if (item[k] === undefined) { continue; };
+        model[k] = this.unmarshal(prop, item[k]);
+      }
+    }
+
+    // Populated relations
+    for (const k in this.relations) {
+      if (item[k] !== undefined) { model[k] = item[k]; }
+    }
+
+    // The properties not stored as attributes are taken from the key templates
+    for (const k in this.#schema.properties) {
+      if (!this.#schema.properties[k].template || typeof item[k] !== 'string') { continue; }
+      const values = this.decomposeKey(k, item[k]);
+      for (const name in values) {
+        if (model[name] === undefined) { model[name] = values[name]; }
+      }
+    }
+    return model;
+  }
+
+  /**
+   *
+   * @param {*} json
+   */
+  parseJSON(json) {
+    return JSON.stringify(json, reviver);
+  }
+
+  /**
+   * Variable names of a key template property like `ORDER#{createdAt}#{orderId}`
+   *
+   * @param {*} name
+   */
+  templateVars(name) {
+    const prop = this.#schema.properties[name];
+    if (!prop || !prop.template) { return; }
+    return (prop.template.match(/\{\w+\}/g) || []).map(v => v.slice(1, -1));
+  }
+
+  /**
+   * Key template property that has a property as a variable
+   *
+   * @param {*} name
+   */
+  templateOf(name) {
+    return Object.keys(this.#schema.properties).find(k => (this.templateVars(k) || []).includes(name));
+  }
+
+  /**
+   * Compose the value of a key template property, undefined when a variable
+   * is empty. With partial return the prefix until the first empty variable.
+   * A value can not contain the delimiter that follows its variable, and the
+   * numbers are not padded (10 sorts before 9) unless the property has
+   * padLength, the digits of the zero padded non-negative integers
+   *
+   * @param {*} name
+   * @param {*} model
+   * @param {*} partial
+   */
+  composeKey(name, model, partial = false) {
+    const template = this.#schema.properties[name].template;
+    const re = /\{(\w+)\}/g;
+    let value = '';
+    let last = 0;
+    let match;
+    while ((match = re.exec(template))) {
+      value += template.slice(last, match.index);
+      const v = match[1];
+      const part = model[v];
+      if (part === undefined || part === null || part === '') { return (partial) ? value : undefined; }
+      const prop = this.#schema.properties[v] || {};
+      let str = (part instanceof Date) ? part.toISOString() : String(this.toDynamoValue(v, part));
+      if (prop.padLength) {
+        if (!/^\d+$/.test(str) || str.length > prop.padLength) { throw new ValidationError(`Property ${v} of the key ${name} should be an integer of up to ${prop.padLength} digits`, { path: v }); }
+        str = str.padStart(prop.padLength, '0');
+      }
+      // The delimiter after the variable ends its value on decomposeKey()
+      const [delimiter, ...next] = template.slice(re.lastIndex).split(/\{\w+\}/);
+      if (delimiter && next.length && str.includes(delimiter)) {
+        throw new ValidationError(`Property ${v} of the key ${name} can not contain the delimiter ${delimiter}`, { path: v });
+      }
+      value += str;
+      last = re.lastIndex;
+    }
+    return value + template.slice(last);
+  }
+
+  /**
+   * Variable values of a key template property value
+   *
+   * @param {*} name
+   * @param {*} value
+   */
+  decomposeKey(name, value) {
+    const template = this.#schema.properties[name].template;
+    const vars = this.templateVars(name);
+    const parts = template.split(/\{\w+\}/).map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = parts.reduce((a, c, i) => a + ((i === parts.length - 1) ? '(.*)' : '(.*?)') + c);
+    const match = new RegExp(`^${pattern}$`).exec(value);
+    const values = {};
+    if (!match) { return values; }
+    vars.forEach((v, i) => {
+      const prop = this.#schema.properties[v] || {};
+      const part = match[i + 1];
+      if (prop.$ref) {
+        const key = Object.keys(prop.join)[0];
+        values[v] = { [prop.join[key]]: part };
+      } else if (prop.format === 'date-time' || prop.format === 'date') {
+        values[v] = new Date(part);
+      } else if (prop.type === 'number' || prop.type === 'integer') {
+        values[v] = Number(part);
+      } else {
+        values[v] = part;
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Key of the table from a model, an item or a key object, the key
+   * templates are composed when the key attributes are not present
+   *
+   * @param {*} data
+   */
+  keyOf(data) {
+    return Object.values(this.#key).reduce((a, c) => {
+      const prop = this.#schema.properties[c];
+      a[c] = (prop.template && data[c] === undefined) ? this.composeKey(c, data) : this.toDynamoValue(c, data[c]);
+      return a;
+    }, {});
+  }
+
+  /**
+   * Guard items keys of the unique indexes without guard: false, the hash (and
+   * range) key of the table is UNIQUE#<index>#<hashValue>[#<rangeValue>]
+   *
+   * @param {*} model
+   * @param {*} strict throw when the index values are empty, otherwise skip the index
+   */
+  uniqueGuards(model, strict = true) {
+    const guards = [];
+    for (const k in this.#schema.indexes) {
+      const index = this.#schema.indexes[k];
+      if (!hasGuard(index)) { continue; }
+      const names = [index.hashKey].concat(index.rangeKey ? [index.rangeKey] : []);
+      const values = names.map(n => this.toDynamoValue(n, model[n]));
+      const empty = values.findIndex(v => v === undefined || v === null || v === '');
+      if (empty >= 0) {
+        if (!strict) { continue; }
+        throw new DynormError(`Unique index constraint ${k} ${(empty) ? 'rangeKey' : 'hashKey'} ${names[empty]} is empty`);
+      }
+      const id = [UNIQUE_PREFIX, k].concat(values).join('#');
+      const key = {};
+      key[this.#key.hashKey] = id;
+      if (this.#key.rangeKey) { key[this.#key.rangeKey] = id; }
+      guards.push({ index: k, id, key });
+    }
+    return guards;
+  }
+
+  /**
+   * Name of the unique index with guard items that a property is a key of,
+   * or a variable of the key template of
+   *
+   * @param {*} name
+   */
+  guardedIndex(name) {
+    for (const k in this.#schema.indexes) {
+      const index = this.#schema.indexes[k];
+      if (!hasGuard(index)) { continue; }
+      const names = [index.hashKey].concat(index.rangeKey ? [index.rangeKey] : []);
+      if (names.some(n => n === name || (this.templateVars(n) || []).includes(name))) { return k; }
+    }
+  }
+
+  /**
+   * DynamoDB attribute type (S or N) of a property, relations use the type of the joined property
+   *
+   * @param {*} name
+   */
+  attributeType(name) {
+    let prop = this.#schema.properties[name];
+    if (prop && prop.$ref) {
+      const key = Object.keys(prop.join)[0];
+      const refSchema = this.#definitions[prop.$ref] || {};
+      prop = (refSchema.properties || {})[prop.join[key]];
+    }
+    if (!prop) { throw new DynormError(`Property ${name} not exist`); }
+    if (prop.template) { return 'S'; }
+    const codec = this.codec(prop);
+    if (codec && codec.attributeType) { return codec.attributeType; }
+    if (prop.format === 'date-time' || prop.format === 'date') { return 'N'; }
+    if (prop.type === 'number' || prop.type === 'integer') { return 'N'; }
+    return 'S';
+  }
+
+  /**
+   * CreateTable params of the table, TTL is not part of CreateTable
+   *
+   * Schema options: billingMode, throughput: { read, write }, stream and the
+   * indexes with local, projection (ALL, KEYS_ONLY or attributes) and throughput
+   */
+  createTableParams() {
+    const attributes = {};
+    const keySchema = (hashKey, rangeKey) => {
+      return [[hashKey, 'HASH'], [rangeKey, 'RANGE']].filter(([name]) => name).map(([name, KeyType]) => {
+        const AttributeName = this.attributeName(name);
+        attributes[AttributeName] = this.attributeType(name);
+        return { AttributeName, KeyType };
+      });
+    };
+    const throughput = (value) => ({ ReadCapacityUnits: value.read || 1, WriteCapacityUnits: value.write || 1 });
+    const projection = (value = 'ALL') => {
+      if (Array.isArray(value)) { return { ProjectionType: 'INCLUDE', NonKeyAttributes: value }; }
+      return { ProjectionType: value };
+    };
+
+    const provisioned = this.#schema.billingMode === 'PROVISIONED' || (!this.#schema.billingMode && this.#schema.throughput);
+    const params = {
+      TableName: this.tableName,
+      KeySchema: keySchema(this.#key.hashKey, this.#key.rangeKey),
+      BillingMode: (provisioned) ? 'PROVISIONED' : 'PAY_PER_REQUEST'
+    };
+    if (provisioned) { params.ProvisionedThroughput = throughput(this.#schema.throughput || {}); }
+
+    for (const k in this.#schema.indexes) {
+      const index = this.#schema.indexes[k];
+      const def = { IndexName: k, KeySchema: keySchema(index.hashKey, index.rangeKey), Projection: projection(index.projection) };
+      if (index.local) {
+        if (index.hashKey !== this.#key.hashKey || !index.rangeKey) {
+          throw new DynormError(`Local index ${k} requires the table hashKey and a rangeKey`);
+        }
+        if (!params.LocalSecondaryIndexes) { params.LocalSecondaryIndexes = []; }
+        params.LocalSecondaryIndexes.push(def);
+      } else {
+        if (provisioned) { def.ProvisionedThroughput = throughput(index.throughput || this.#schema.throughput || {}); }
+        if (!params.GlobalSecondaryIndexes) { params.GlobalSecondaryIndexes = []; }
+        params.GlobalSecondaryIndexes.push(def);
+      }
+    }
+
+    params.AttributeDefinitions = Object.keys(attributes).map(k => ({ AttributeName: k, AttributeType: attributes[k] }));
+    if (this.stream) { params.StreamSpecification = { StreamEnabled: true, StreamViewType: this.stream }; }
+    return params;
+  }
+
+  /**
+   * Validate the value of a property or document path like `address.city` or
+   * `tags[2]`, relations and paths without schema are not validated
+   *
+   * @param {*} path
+   * @param {*} value
+   * @param {*} details model and key of the ValidationError
+   */
+  validateValue(path, value, details = {}) {
+    let pointer = '';
+    let schema = this.#schema;
+    for (const part of path.split(/\.|(?=\[)/)) {
+      if (/^\[\d+\]$/.test(part)) {
+        schema = schema.items;
+        pointer += '/items';
+      } else {
+        schema = (schema.properties || {})[part];
+        pointer += `/properties/${part}`;
+      }
+      if (!schema || schema.$ref) { return; }
+    }
+
+    const validate = this.#ajv.getSchema(`${this.#id}#${pointer}`);
+    if (!validate(JSON.parse(JSON.stringify(value === undefined ? null : value)))) {
+      throw this.validationError(validate.errors, Object.assign({ path }, details));
+    }
+  }
+
+  /**
+   * Validate the operand of $inc, $add and $delete, a number for the number
+   * properties or the items of a set
+   *
+   * @param {*} op
+   * @param {*} path
+   * @param {*} value
+   * @param {*} details model and key of the ValidationError
+   */
+  validateOperand(op, path, value, details = {}) {
+    const prop = this.propertyAt(path);
+    const type = prop && prop.type;
+    const fail = msg => new ValidationError(`Property ${path} ${msg}`, Object.assign({ path }, details));
+    if (op === '$inc' || (op === '$add' && typeof value === 'number')) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) { throw fail(`${op} value should be number`); }
+      if (type && type !== 'number' && type !== 'integer') { throw fail(`of type ${type} does not support ${op}`); }
+      if (type === 'integer' && !Number.isInteger(value)) { throw fail(`${op} value should be integer`); }
+      return;
+    }
+    if (type && type !== 'array') { throw fail(`of type ${type} does not support ${op}`); }
+    [].concat(value).forEach(v => this.validateValue(`${path}[0]`, v, details));
+  }
+
+  /**
+   * ValidationError of ajv errors, each error has the property path. With
+   * details.path the errors are of the value of that path
+   *
+   * @param {*} errors
+   * @param {*} details
+   */
+  validationError(errors, details = {}) {
+    const prefix = details.path || '';
+    const list = errors.map(error => {
+      let path = error.dataPath.replace(/\['([^']*)'\]/g, '.$1');
+      if (error.keyword === 'required') { path += `.${error.params.missingProperty.replace(/^\./, '')}`; }
+      path = (prefix + path).replace(/^\./, '');
+      return Object.assign({}, error, { path });
+    });
+    const msg = (prefix)
+      ? `Property ${prefix} ${this.#ajv.errorsText(errors, { dataVar: 'value' })}`
+      : `Validation failed: ${this.#ajv.errorsText(errors, { dataVar: 'model' })}`;
+    return new ValidationError(msg, Object.assign({}, details, { errors: list }));
+  }
+
+  /**
+   * Property path to DynamoDB attribute path (relations are stored in the join key)
+   *
+   * @param {*} path
+   */
+  attributeName(path) {
+    const prop = this.#schema.properties[path];
+    if (prop && prop.$ref) {
+      return Object.keys(prop.join)[0];
+    }
+    return path;
+  }
+
+  /**
+   * ProjectionExpression params of the selected property paths like
+   * `address.city`. The attributes of the key, entity, version, schema
+   * version, owner, tenant, soft delete, TTL and unique guards are always projected
+   *
+   * @param {*} select
+   */
+  projection(select) {
+    const required = Object.values(this.#key).concat([this.version, this.owner, this.tenant, this.ttl]);
+    if (this.softDelete) { required.push('deletedAt'); }
+    for (const index of Object.values(this.#schema.indexes || {})) {
+      if (hasGuard(index)) { required.push(index.hashKey, index.rangeKey); }
+    }
+
+    const paths = [...new Set(required.filter(p => p).concat(select).map(path => {
+      const [head, ...rest] = path.split(/(?=[.[])/);
+      return this.attributeName(head) + rest.join('');
+    }))];
+    if (this.entity) { paths.push(this.entityAttribute); }
+    if (this.schemaVersion) { paths.push(this.schemaVersionAttribute); }
+    if (this.guarded) { paths.push(UNIQUE_INDEX_ATTR); }
+
+    // Nested paths of a projected attribute overlap with it
+    const projected = paths.filter(path => !paths.some(p => path.startsWith(`${p}.`) || path.startsWith(`${p}[`)));
+
+    const names = {};
+    const placeholders = {};
+    const expression = projected.map(path => path.split(/\.|(?=\[)/).map(part => {
+      if (/^\[\d+\]$/.test(part)) { return part; }
+      if (!placeholders[part]) {
+        placeholders[part] = `#p${Object.keys(placeholders).length}`;
+        names[placeholders[part]] = part;
+      }
+      return placeholders[part];
+    }).join('.').replace(/\.\[/g, '['));
+    return { ProjectionExpression: expression.join(', '), ExpressionAttributeNames: names };
+  }
+
+  /**
+   * Property value to DynamoDB value, like toDynamo does for a single property
+   *
+   * @param {*} path
+   * @param {*} value
+   */
+  toDynamoValue(path, value) {
+    const prop = this.#schema.properties[path];
+    if (prop && prop.template && value && value.constructor === Object) {
+      return this.composeKey(path, value);
+    }
+    if (prop && prop.$ref) {
+      const key = Object.keys(prop.join)[0];
+      return (value && typeof value === 'object') ? value[prop.join[key]] : value;
+    }
+    return this.marshal(this.propertyAt(path) || {}, value);
+  }
+
+  /**
+   * DynamoDB value of a condition operand, the operand of contains on a list
+   * or a set is an element, so it is marshalled with the schema of the items
+   *
+   * @param {*} path
+   * @param {*} op
+   * @param {*} value
+   */
+  conditionValue(path, op, value) {
+    const prop = this.propertyAt(path);
+    if (op === 'contains' && prop && prop.type === 'array') { return this.toDynamoValue(`${path}[0]`, value); }
+    return this.toDynamoValue(path, value);
+  }
+
+  /**
+   * Schema of a document path like `address.city` or `tags[2]`
+   *
+   * @param {*} path
+   */
+  propertyAt(path) {
+    return path.split(/\.|(?=\[)/).reduce((prop, part) => {
+      if (!prop) { return undefined; }
+      if (/^\[\d+\]$/.test(part)) { return (Array.isArray(prop.items)) ? prop.items[Number(part.slice(1, -1))] : prop.items; }
+      return (prop.properties || {})[part];
+    }, { properties: this.#schema.properties });
+  }
+
+  /**
+   * Codec of a property, the registered type or a set for the uniqueItems
+   * arrays of strings or numbers
+   *
+   * @param {*} prop
+   */
+  codec(prop) {
+    if (!prop) { return; }
+    if (prop.codec) { return this.#orm.type(prop.codec); }
+    if (prop.type === 'array' && prop.uniqueItems && prop.items && ['string', 'number', 'integer'].includes(prop.items.type)) {
+      return this.#orm.type('set');
+    }
+  }
+
+  /**
+   * Value to DynamoDB value, recursively through the nested properties and arrays
+   *
+   * @param {*} prop
+   * @param {*} value
+   */
+  marshal(prop, value) {
+    if (value === undefined || value === null) { return value; }
+    const codec = this.codec(prop);
+    if (codec) { return codec.toDynamo(value, prop, this.#orm); }
+    if (value instanceof Date) {
+      return (prop.ttl) ? Math.floor(value.valueOf() / 1000) : value.valueOf();
+    }
+    if (Array.isArray(value)) {
+      return value.map((v, i) => this.marshal(((Array.isArray(prop.items)) ? prop.items[i] : prop.items) || {}, v));
+    }
+    if (value.constructor === Object) {
+      return Object.keys(value).reduce((a, k) => {
+        const v = this.marshal(this.nestedProperty(prop, k), value[k]);
+        if (v !== undefined) { a[k] = v; }
+        return a;
+      }, {});
+    }
+    return value;
+  }
+
+  /**
+   * DynamoDB value to value, recursively through the nested properties and arrays
+   *
+   * @param {*} prop
+   * @param {*} value
+   */
+  unmarshal(prop, value) {
+    if (value === undefined || value === null) { return value; }
+    const codec = this.codec(prop);
+    if (codec) { return codec.fromDynamo(value, prop, this.#orm); }
+    if ((prop.format === 'date-time' || prop.format === 'date') && typeof value !== 'object') {
+      return new Date((prop.ttl) ? value * 1000 : value);
+    }
+    if (value.wrapperName === 'Set') { return value.values.slice(); }
+    if (Array.isArray(value)) {
+      return value.map((v, i) => this.unmarshal(((Array.isArray(prop.items)) ? prop.items[i] : prop.items) || {}, v));
+    }
+    if (value.constructor === Object) {
+      return Object.keys(value).reduce((a, k) => { a[k] = this.unmarshal(this.nestedProperty(prop, k), value[k]); return a; }, {});
+    }
+    return value;
+  }
+
+  /**
+   * Schema of a key of an object property
+   *
+   * @param {*} prop
+   * @param {*} key
+   */
+  nestedProperty(prop, key) {
+    if (prop.properties && prop.properties[key]) { return prop.properties[key]; }
+    return (prop.additionalProperties && typeof prop.additionalProperties === 'object') ? prop.additionalProperties : {};
+  }
+
+  /**
+   * Value of the TTL property that expires after a duration like '30d'
+   *
+   * @param {*} expiresIn
+   */
+  expiry(expiresIn) {
+    const prop = this.#schema.properties[this.ttl];
+    const expires = new Date(Date.now() + duration(expiresIn));
+    return (prop.type === 'integer' || prop.type === 'number') ? Math.floor(expires.valueOf() / 1000) : expires;
+  }
+
+  /**
+   * If the TTL of a DynamoDB item expired and it is waiting to be deleted
+   *
+   * @param {*} item
+   */
+  isExpired(item) {
+    const ttl = this.ttl;
+    if (!ttl || !item || typeof item[ttl] !== 'number') { return false; }
+    return item[ttl] <= Math.floor(Date.now() / 1000);
+  }
+
+  /**
+   * Add to the params of find() the filters that hide the unique guard
+   * items, and the soft deleted and the expired items unless
+   * opts.withDeleted and opts.withExpired. The filter is part of the
+   * request, so the pages are not shortened after the Limit
+   *
+   * @param {*} params
+   * @param {*} opts
+   */
+  hiddenFilter(params, opts = {}) {
+    const filters = [];
+    const names = Object.assign({}, params.ExpressionAttributeNames);
+    const values = Object.assign({}, params.ExpressionAttributeValues);
+    // The placeholders are private, so the filters are only skipped when the params already have them
+    if (this.guarded && !names['#_dynormUniqueIndex']) {
+      filters.push('attribute_not_exists(#_dynormUniqueIndex)');
+      names['#_dynormUniqueIndex'] = UNIQUE_INDEX_ATTR;
+    }
+    if (this.softDelete && !opts.withDeleted && !names['#_dynormDeletedAt']) {
+      filters.push('attribute_not_exists(#_dynormDeletedAt)');
+      names['#_dynormDeletedAt'] = 'deletedAt';
+    }
+    if (this.ttl && !opts.withExpired && !names['#_dynormTtl']) {
+      filters.push('(attribute_not_exists(#_dynormTtl) OR #_dynormTtl > :_dynormTtlNow)');
+      names['#_dynormTtl'] = this.ttl;
+      values[':_dynormTtlNow'] = Math.floor(Date.now() / 1000);
+    }
+    if (!filters.length) { return params; }
+
+    params.FilterExpression = [params.FilterExpression && `(${params.FilterExpression})`].concat(filters).filter(f => f).join(' AND ');
+    params.ExpressionAttributeNames = names;
+    // DynamoDB rejects empty ExpressionAttributeValues
+    if (Object.keys(values).length) { params.ExpressionAttributeValues = values; }
+    return params;
+  }
+}
+
+/**
+ * Expression attribute names and values generator
+ */
+class Expression {
+  #names;
+  #values;
+
+  constructor() {
+    this.#names = {};
+    this.#values = {};
+  }
+
+  get names() {
+    return this.#names;
+  }
+
+  get values() {
+    return this.#values;
+  }
+
+  /**
+   * Return the placeholder of a document path like `address.city` or `tags[2]`
+   *
+   * @param {*} path
+   */
+  name(path) {
+    return path.split('.').map(part => {
+      const match = part.match(/^([^[\]]+)((?:\[\d+\])*)$/);
+      if (!match) { throw new DynormError(`Invalid attribute path ${path}`); }
+      let placeholder = Object.keys(this.#names).find(n => this.#names[n] === match[1]);
+      if (!placeholder) {
+        placeholder = `#n${Object.keys(this.#names).length}`;
+        this.#names[placeholder] = match[1];
+      }
+      return placeholder + match[2];
+    }).join('.');
+  }
+
+  /**
+   * Return the placeholder of a value
+   *
+   * @param {*} value
+   */
+  value(value) {
+    const placeholder = `:v${Object.keys(this.#values).length}`;
+    this.#values[placeholder] = value;
+    return placeholder;
+  }
+
+  /**
+   * Add the names and values to DocumentClient params
+   *
+   * @param {*} params
+   */
+  assign(params) {
+    if (Object.keys(this.#names).length) {
+      params.ExpressionAttributeNames = Object.assign({}, params.ExpressionAttributeNames, this.#names);
+    }
+    if (Object.keys(this.#values).length) {
+      params.ExpressionAttributeValues = Object.assign({}, params.ExpressionAttributeValues, this.#values);
+    }
+    return params;
+  }
+}
+
+/**
+ * Chainable condition builder, filter('name') selects the attribute and the
+ * next operator adds the condition. Conditions are joined with AND.
+ */
+class Condition {
+  _schema;
+  _conditions;
+  _target;
+
+  constructor(schema) {
+    this._schema = schema;
+    this._conditions = [];
+    this._target = null;
+  }
+
+  /**
+   * Select the attribute of the next filter condition
+   *
+   * @param {*} name
+   */
+  filter(name) {
+    this._property(name);
+    this._target = { name, add: cond => this._conditions.push(cond) };
+    return this;
+  }
+
+  eq(value) { return this._add('=', [value]); }
+  ne(value) { return this._add('<>', [value]); }
+  lt(value) { return this._add('<', [value]); }
+  le(value) { return this._add('<=', [value]); }
+  gt(value) { return this._add('>', [value]); }
+  ge(value) { return this._add('>=', [value]); }
+  between(from, to) { return this._add('BETWEEN', [from, to]); }
+  in(values) { return this._add('IN', values); }
+  beginsWith(value) { return this._add('begins_with', [value]); }
+  contains(value) { return this._add('contains', [value]); }
+  exists() { return this._add('attribute_exists', []); }
+  notExists() { return this._add('attribute_not_exists', []); }
+
+  /**
+   * Add a group of conditions joined with AND
+   *
+   * @param {*} fn function that receives the group Condition
+   */
+  and(fn) {
+    return this._group('AND', fn);
+  }
+
+  /**
+   * Add a group of conditions joined with OR
+   *
+   * @param {*} fn function that receives the group Condition
+   */
+  or(fn) {
+    return this._group('OR', fn);
+  }
+
+  /**
+   * Add a negated group of conditions joined with AND
+   *
+   * @param {*} fn function that receives the group Condition
+   */
+  not(fn) {
+    return this._group('NOT', fn);
+  }
+
+  /**
+   * Condition from a function that receives the Condition or from a where object
+   *
+   * @param {*} schema
+   * @param {*} cond
+   */
+  static from(schema, cond) {
+    const condition = new Condition(schema);
+    if (typeof cond === 'function') {
+      cond(condition);
+    } else {
+      for (const c of whereConditions(cond || {})) {
+        WHERE_OPS[c.op](condition.filter(c.name), c.value);
+      }
+    }
+    return condition;
+  }
+
+  /**
+   * Return the condition expression string, or undefined without conditions
+   *
+   * @param {*} expr Expression
+   */
+  expression(expr) {
+    this._checkTarget();
+    if (!this._conditions.length) { return; }
+    return this._conditions.map(c => this._compile(c, expr)).join(' AND ');
+  }
+
+  _property(name) {
+    const propName = name.split(/[.[]/)[0];
+    if (!this._schema.properties[propName]) {
+      throw new DynormError(`Property ${propName} not exist`);
+    }
+  }
+
+  _add(op, values) {
+    if (!this._target) { throw new DynormError(`Operator ${op} without attribute`); }
+    if (op === 'IN' && (!Array.isArray(values) || !values.length)) {
+      throw new DynormError('Operator IN requires a non empty array');
+    }
+    this._target.add({ name: this._target.name, op, values });
+    this._target = null;
+    return this;
+  }
+
+  // A selected attribute without the operator would be dropped from the expression
+  _checkTarget() {
+    if (this._target) { throw new DynormError(`Attribute ${this._target.name} without operator`); }
+  }
+
+  _group(type, fn) {
+    const group = new Condition(this._schema);
+    fn(group);
+    group._checkTarget();
+    if (group._conditions.length) {
+      this._conditions.push({ type, conditions: group._conditions });
+    }
+    return this;
+  }
+
+  _compile(cond, expr) {
+    if (cond.conditions) {
+      const parts = cond.conditions.map(c => this._compile(c, expr));
+      if (cond.type === 'NOT') { return `NOT (${parts.join(' AND ')})`; }
+      return `(${parts.join(` ${cond.type} `)})`;
+    }
+
+    const name = expr.name(this._schema.attributeName(cond.name));
+    const values = cond.values.map(v => expr.value(this._schema.conditionValue(cond.name, cond.op, v)));
+    switch (cond.op) {
+      case 'BETWEEN':
+        return `${name} BETWEEN ${values[0]} AND ${values[1]}`;
+      case 'IN':
+        return `${name} IN (${values.join(', ')})`;
+      case 'begins_with':
+      case 'contains':
+        return `${cond.op}(${name}, ${values[0]})`;
+      case 'attribute_exists':
+      case 'attribute_not_exists':
+        return `${cond.op}(${name})`;
+      default:
+        return `${name} ${cond.op} ${values[0]}`;
+    }
+  }
+}
+
+const RANGE_KEY_OPS = ['=', '<', '<=', '>', '>=', 'BETWEEN', 'begins_with'];
+
+const WHERE_OPS = {
+  $eq: (c, v) => c.eq(v),
+  $ne: (c, v) => c.ne(v),
+  $lt: (c, v) => c.lt(v),
+  $le: (c, v) => c.le(v),
+  $gt: (c, v) => c.gt(v),
+  $ge: (c, v) => c.ge(v),
+  $between: (c, v) => c.between(v[0], v[1]),
+  $in: (c, v) => c.in(v),
+  $beginsWith: (c, v) => c.beginsWith(v),
+  $contains: (c, v) => c.contains(v),
+  $exists: (c, v) => (v ? c.exists() : c.notExists())
+};
+
+/**
+ * Split a where object ({ email: 'a@b.c', age: { $gt: 18 } }) in [name, op, value] conditions
+ *
+ * @param {*} where
+ */
+function whereConditions(where) {
+  const conditions = [];
+  for (const name in where) {
+    const value = where[name];
+    const ops = (value && value.constructor === Object) ? Object.keys(value) : [];
+    if (ops.length && ops.every(op => op.startsWith('$'))) {
+      for (const op of ops) {
+        if (!WHERE_OPS[op]) { throw new DynormError(`Operator ${op} not supported`); }
+        conditions.push({ name, op, value: value[op] });
+      }
+    } else {
+      conditions.push({ name, op: '$eq', value });
+    }
+  }
+  return conditions;
+}
+
+/**
+ * Scan builder of a compiled model
+ *
+ * User.scan().filter('status').eq('active').limit(100).exec()
+ */
+class Scan extends Condition {
+  _model;
+  _limit;
+  _startKey;
+  _after;
+  _maxPages;
+  _maxScanned;
+  _withDeleted;
+  _withExpired;
+  _principal;
+  _select;
+
+  constructor(model) {
+    super(model.schema);
+    this._model = model;
+  }
+
+  limit(limit) {
+    this._limit = limit;
+    return this;
+  }
+
+  startAt(key) {
+    this._startKey = key;
+    return this;
+  }
+
+  /**
+   * Continue after the cursor returned by a previous find()
+   *
+   * @param {*} cursor
+   */
+  after(cursor) {
+    this._after = cursor;
+    return this;
+  }
+
+  /**
+   * Stop after a number of DynamoDB requests
+   *
+   * @param {*} pages
+   */
+  maxPages(pages) {
+    this._maxPages = pages;
+    return this;
+  }
+
+  /**
+   * Stop after a number of scanned items
+   *
+   * @param {*} scanned
+   */
+  maxScanned(scanned) {
+    this._maxScanned = scanned;
+    return this;
+  }
+
+  /**
+   * Include the soft deleted items
+   */
+  withDeleted() {
+    this._withDeleted = true;
+    return this;
+  }
+
+  /**
+   * Include the expired items not yet deleted by the TTL
+   */
+  withExpired() {
+    this._withExpired = true;
+    return this;
+  }
+
+  /**
+   * Get only the property paths, the models are partial
+   *
+   * @param {*} paths
+   */
+  select(paths) {
+    this._select = paths;
+    return this;
+  }
+
+  /**
+   * Restrict to the items of the principal, like Model.as(principal)
+   *
+   * @param {*} principal
+   */
+  as(principal) {
+    this._principal = principal;
+    return this;
+  }
+
+  /**
+   * Return the DocumentClient params
+   */
+  build() {
+    const expr = new Expression();
+    const params = this._params(expr);
+    const filter = this.expression(expr);
+    if (filter) { params.FilterExpression = filter; }
+    expr.assign(params);
+    if (this._limit) { params.Limit = this._limit; }
+    if (this._startKey) { params.ExclusiveStartKey = this._startKey; }
+    return params;
+  }
+
+  /**
+   * Return the operation, the index and the params that exec() will send,
+   * before the pre find hooks
+   */
+  explain() {
+    return { operation: 'scan', index: null, params: this._model.findParams(this.build(), this._findOpts()) };
+  }
+
+  /**
+   * Execute with the find() of the model
+   *
+   * @param {*} fields fields to populate
+   */
+  async exec(fields = []) {
+    return this._model.find(this.build(), fields, this._findOpts());
+  }
+
+  _findOpts() {
+    return { after: this._after, maxPages: this._maxPages, maxScanned: this._maxScanned, withDeleted: this._withDeleted, withExpired: this._withExpired, principal: this._principal, select: this._select };
+  }
+
+  /**
+   * Async iterator of the result of each DynamoDB request
+   *
+   * @param {*} fields fields to populate
+   */
+  async * pages(fields = []) {
+    const params = this.build();
+    let after = this._after;
+    let pages = 0;
+    let scanned = 0;
+    for (;;) {
+      const opts = { after, maxPages: 1, withDeleted: this._withDeleted, withExpired: this._withExpired, principal: this._principal, select: this._select };
+      const result = await this._model.find(params, fields, opts);
+      pages++;
+      scanned += result.ScannedCount;
+      yield result;
+
+      if (!result.cursor) { return; }
+      if (params.Limit !== undefined && params.Limit <= 0) { return; }
+      if ((this._maxPages && pages >= this._maxPages) || (this._maxScanned && scanned >= this._maxScanned)) { return; }
+      after = result.cursor;
+    }
+  }
+
+  /**
+   * Async iterator of the models, one request at a time
+   *
+   * for await (const user of User.scan().iterate()) { ... }
+   *
+   * @param {*} fields fields to populate
+   */
+  async * iterate(fields = []) {
+    for await (const page of this.pages(fields)) {
+      yield * page.Items;
+    }
+  }
+
+  _params(expr) {
+    return {};
+  }
+}
+
+/**
+ * Query builder of a compiled model
+ *
+ * User.query('email').eq(x).where('createdAt').between(a, b).filter('status').in([...]).exec()
+ */
+class Query extends Scan {
+  _hashKey;
+  _rangeKey;
+  _indexName;
+  _descending;
+
+  constructor(model, hashKey) {
+    super(model);
+    if (hashKey) { this.query(hashKey); }
+  }
+
+  /**
+   * Select the hashKey of the table or index to query
+   *
+   * @param {*} name
+   */
+  query(name) {
+    this._property(name);
+    this._target = { name, add: cond => { this._hashKey = cond; } };
+    return this;
+  }
+
+  /**
+   * Select the rangeKey of the table or index to query
+   *
+   * @param {*} name
+   */
+  where(name) {
+    this._property(name);
+    this._target = { name, add: cond => { this._rangeKey = cond; } };
+    return this;
+  }
+
+  /**
+   * Force the index to query
+   *
+   * @param {*} indexName
+   */
+  using(indexName) {
+    if (!this._schema.indexes || !this._schema.indexes[indexName]) {
+      throw new DynormError(`Index ${indexName} not exist`);
+    }
+    this._indexName = indexName;
+    return this;
+  }
+
+  ascending() {
+    this._descending = false;
+    return this;
+  }
+
+  descending() {
+    this._descending = true;
+    return this;
+  }
+
+  /**
+   * Return the index whose keys match the key conditions
+   */
+  index() {
+    if (!this._hashKey) { throw new DynormError('Query requires a hashKey condition'); }
+    if (this._hashKey.op !== '=') {
+      throw new DynormError(`Query hashKey ${this._hashKey.name} only supports eq`);
+    }
+    if (this._rangeKey && !RANGE_KEY_OPS.includes(this._rangeKey.op)) {
+      throw new DynormError(`Query rangeKey ${this._rangeKey.name} not supports ${this._rangeKey.op}`);
+    }
+
+    const index = Query.indexes(this._schema).find(c => {
+      if (this._indexName && c.name !== this._indexName) { return false; }
+      if (c.hashKey !== this._hashKey.name) { return false; }
+      return !this._rangeKey || c.rangeKey === this._rangeKey.name;
+    });
+    if (!index) {
+      const keys = [this._hashKey.name].concat(this._rangeKey ? [this._rangeKey.name] : []).join(', ');
+      throw new DynormError(`Key or index ${keys} not exist`);
+    }
+    return index;
+  }
+
+  /**
+   * Return the operation, the index and the params that exec() will send,
+   * before the pre find hooks
+   */
+  explain() {
+    const index = this.index();
+    return {
+      operation: 'query',
+      index: index.name || null,
+      hashKey: index.hashKey,
+      rangeKey: (this._rangeKey) ? index.rangeKey : undefined,
+      params: this._model.findParams(this.build(), this._findOpts())
+    };
+  }
+
+  _params(expr) {
+    const index = this.index();
+    const params = {};
+    if (index.name) { params.IndexName = index.name; }
+    params.KeyConditionExpression = [this._hashKey, this._rangeKey]
+      .filter(c => c)
+      .map(c => this._compile(c, expr))
+      .join(' AND ');
+    if (this._descending) { params.ScanIndexForward = false; }
+    return params;
+  }
+
+  /**
+   * Table key followed by the schema indexes
+   *
+   * @param {*} schema
+   */
+  static indexes(schema) {
+    const indexes = schema.indexes || {};
+    return [Object.assign({}, schema.key)]
+      .concat(Object.keys(indexes).map(k => Object.assign({ name: k }, indexes[k])));
+  }
+
+  /**
+   * Return the Query of the best key or index for the where conditions, or a
+   * Scan when no key matches and opts.allowScan is set
+   *
+   * @param {*} model
+   * @param {*} opts { where, index, limit, descending, startAt, after, maxPages, maxScanned, allowScan, withDeleted, withExpired, select }
+   */
+  static plan(model, opts) {
+    const schema = model.schema;
+    const conditions = whereConditions(opts.where);
+    const eqs = conditions.filter(c => c.op === '$eq');
+    const ranges = conditions.filter(c => ['$eq', '$lt', '$le', '$gt', '$ge', '$between', '$beginsWith'].includes(c.op));
+
+    // Condition of a key, a key template is composed from the conditions of its variables
+    const keyCondition = (name, range, exclude = []) => {
+      const direct = (range ? ranges : eqs).find(c => c.name === name && !exclude.includes(c));
+      if (direct) { return { cond: direct, used: [direct] }; }
+      const vars = schema.templateVars(name);
+      if (!vars) { return; }
+      const used = [];
+      const values = {};
+      for (const v of vars) {
+        const c = eqs.find(c => c.name === v);
+        if (!c) { break; }
+        used.push(c);
+        values[v] = c.value;
+      }
+      if (used.length === vars.length) {
+        return { cond: { name, op: '$eq', value: schema.composeKey(name, values) }, used };
+      }
+      // The variables at the start of a range template make a begins_with prefix
+      const prefix = schema.composeKey(name, values, true);
+      if (range && prefix) { return { cond: { name, op: '$beginsWith', value: prefix }, used }; }
+    };
+
+    // The table key goes first, so on a tie it wins over the indexes
+    let best = null;
+    for (const index of Query.indexes(schema)) {
+      if (opts.index && index.name !== opts.index) { continue; }
+      const hash = keyCondition(index.hashKey, false);
+      if (!hash) { continue; }
+      const range = (index.rangeKey) ? keyCondition(index.rangeKey, true, hash.used) : undefined;
+      const score = (range) ? 2 : 1;
+      if (!best || score > best.score) { best = { index, hash, range, score }; }
+    }
+
+    let builder;
+    const used = (best) ? best.hash.used.concat(best.range ? best.range.used : []) : [];
+    if (best) {
+      builder = new Query(model, best.hash.cond.name);
+      WHERE_OPS.$eq(builder, best.hash.cond.value);
+      if (best.index.name) { builder.using(best.index.name); }
+      if (best.range) {
+        WHERE_OPS[best.range.cond.op](builder.where(best.range.cond.name), best.range.cond.value);
+      }
+      if (opts.descending) { builder.descending(); }
+    } else if (opts.allowScan) {
+      builder = new Scan(model);
+    } else {
+      const names = conditions.map(c => c.name).join(', ');
+      throw new DynormError(`No key or index found for ${names || 'empty where'}, set allowScan to scan the table`);
+    }
+
+    for (const cond of conditions) {
+      if (used.includes(cond)) { continue; }
+      WHERE_OPS[cond.op](builder.filter(cond.name), cond.value);
+    }
+    if (opts.limit) { builder.limit(opts.limit); }
+    if (opts.startAt) { builder.startAt(opts.startAt); }
+    if (opts.after) { builder.after(opts.after); }
+    if (opts.maxPages) { builder.maxPages(opts.maxPages); }
+    if (opts.maxScanned) { builder.maxScanned(opts.maxScanned); }
+    if (opts.withDeleted) { builder.withDeleted(); }
+    if (opts.withExpired) { builder.withExpired(); }
+    if (opts.select) { builder.select(opts.select); }
+    return builder;
+  }
+}
+
+/**
+ * Request context of Model.as(principal), the operations are restricted to
+ * the items of the principal { id, tenantId, roles }
+ *
+ * const orders = await Order.as(req.user).find({ where: { status: 'open' } })
+ */
+class AccessContext {
+  #model;
+  #principal;
+
+  constructor(model, principal) {
+    this.#model = model;
+    this.#principal = principal;
+  }
+
+  get principal() {
+    return this.#principal;
+  }
+
+  /**
+   * New model of the principal, save() stamps the owner and the tenant
+   *
+   * @param {*} data
+   */
+  create(data) {
+    return new this.#model(data).as(this.#principal);
+  }
+
+  get(key, fields, opts = {}) {
+    return this.#model.get(key, fields, Object.assign({}, opts, { principal: this.#principal }));
+  }
+
+  find(params, fields, opts = {}) {
+    return this.#model.find(params, fields, Object.assign({}, opts, { principal: this.#principal }));
+  }
+
+  query(hashKey) {
+    return this.#model.query(hashKey).as(this.#principal);
+  }
+
+  scan() {
+    return this.#model.scan().as(this.#principal);
+  }
+
+  update(key, update, opts = {}) {
+    return this.#model.update(key, update, Object.assign({}, opts, { principal: this.#principal }));
+  }
+
+  save(model) {
+    return model.as(this.#principal).save();
+  }
+
+  del(model, opts) {
+    return model.as(this.#principal).del(opts);
+  }
+
+  batchGet(keys, opts = {}) {
+    return this.#model.batchGet(keys, Object.assign({}, opts, { principal: this.#principal }));
+  }
+
+  /**
+   * The batch writes have no conditions, so the scope can not be checked
+   */
+  batchSave() {
+    return Promise.reject(new AccessError(`Batch writes of ${this.#model.name} are not supported with a principal, use save()`, { model: this.#model.name }));
+  }
+
+  batchDelete() {
+    return Promise.reject(new AccessError(`Batch writes of ${this.#model.name} are not supported with a principal, use del()`, { model: this.#model.name }));
+  }
+
+  transaction(fn) {
+    return this.#model.orm.transaction(fn, { principal: this.#principal });
+  }
+
+  transactGet(fn) {
+    return this.#model.orm.transactGet(fn, { principal: this.#principal });
+  }
+}
+
+const TRANSACT_MAX_ITEMS = 100;
+
+/**
+ * Operations of dynorm.transaction() and dynorm.transactGet()
+ */
+class Transaction {
+  _items;
+  _principal;
+
+  /**
+   *
+   * @param {*} principal the operations are restricted to the items of the principal
+   */
+  constructor(principal) {
+    this._items = [];
+    this._principal = principal;
+  }
+
+  /**
+   * Add the put of model.save()
+   *
+   * @param {*} model
+   */
+  save(model) {
+    const Model = model.constructor;
+    if (this._principal) { model.as(this._principal); }
+    let params;
+    return this._add(Model, 'save', async () => {
+      params = await model.saveParams();
+      if (!params) { return []; }
+      const item = (params.UpdateExpression) ? { Update: params, key: params.Key } : { Put: params, key: Transaction.key(Model, params.Item) };
+      return [item].concat(model.guardParams());
+    }, async () => {
+      if (!params) { return; }
+      model._saved();
+      await Model.schema.callHooks('post', 'save', model, params);
+    });
+  }
+
+  /**
+   * Add the delete of model.del(), the soft delete when the schema has
+   * softDelete and not opts.force
+   *
+   * @param {*} model
+   * @param {*} opts { force, by }
+   */
+  del(model, opts = {}) {
+    const Model = model.constructor;
+    if (this._principal) { model.as(this._principal); }
+    const soft = Model.schema.softDelete && !opts.force;
+    let params;
+    return this._add(Model, 'del', async () => {
+      if (soft) {
+        params = await model.softDelParams(opts.by);
+        return [{ Update: params, key: params.Key }].concat(model.guardParams());
+      }
+      params = await model.delParams();
+      return [{ Delete: params, key: params.Key }].concat(model.guardParams(true));
+    }, () => {
+      if (soft) { model._saved(); }
+      return Model.schema.callHooks('post', 'del', model, params);
+    });
+  }
+
+  /**
+   * Add the update of Model.update()
+   *
+   * @param {*} Model
+   * @param {*} key
+   * @param {*} update
+   * @param {*} opts
+   */
+  update(Model, key, update, opts) {
+    let params;
+    return this._add(Model, 'update', async () => {
+      params = await Model.updateParams(key, update, Object.assign({ principal: this._principal }, opts));
+      delete params.ReturnValues;
+      return { Update: params, key: params.Key };
+    }, () => Model.schema.callHooks('post', 'update', Model, params));
+  }
+
+  /**
+   * Add a condition check of an item, cond is a where object or a function
+   * that receives the Condition
+   *
+   * @param {*} Model
+   * @param {*} key
+   * @param {*} cond
+   */
+  check(Model, key, cond) {
+    return this._add(Model, 'check', () => {
+      const expr = new Expression();
+      const params = { TableName: Model.schema.tableName, Key: Transaction.key(Model, key) };
+      params.ConditionExpression = Condition.from(Model.schema, cond).expression(expr);
+      if (!params.ConditionExpression) { throw new DynormError('Transaction check requires a condition'); }
+      return { ConditionCheck: Model.accessCondition(expr.assign(params), this._principal), key: params.Key };
+    });
+  }
+
+  /**
+   * Add the get of Model.get()
+   *
+   * @param {*} Model
+   * @param {*} key
+   */
+  get(Model, key) {
+    return this._add(Model, 'get', () => {
+      const params = { TableName: Model.schema.tableName, Key: Transaction.key(Model, key) };
+      return { Get: params, key: params.Key };
+    });
+  }
+
+  /**
+   *
+   * @param {*} orm
+   */
+  async write(orm) {
+    if (this._items.some(i => i.operation === 'get')) {
+      throw new DynormError('Transaction get is only supported by transactGet()');
+    }
+    const TransactItems = await this._build();
+    if (!TransactItems.length) { return; }
+    try {
+      await orm.request('transactWrite', { TransactItems });
+    } catch (err) {
+      throw this._error(err);
+    }
+    for (const item of this._items) {
+      if (item.after) { await item.after(); }
+    }
+  }
+
+  /**
+   *
+   * @param {*} orm
+   */
+  async read(orm) {
+    if (this._items.some(i => i.operation !== 'get')) {
+      throw new DynormError('transactGet() only supports get');
+    }
+    const TransactItems = await this._build();
+    if (!TransactItems.length) { return []; }
+    let data;
+    try {
+      data = await orm.request('transactGet', { TransactItems });
+    } catch (err) {
+      throw this._error(err);
+    }
+    return data.Responses.map((res, i) => {
+      if (!res || !res.Item) { return null; }
+      const Model = this._entries[i].model;
+      if (!Model.inScope(res.Item, this._principal)) { throw new AccessError(`Access denied to ${Model.name}`, { model: Model.name, key: this._entries[i].key }); }
+      return new Model(Model.schema.parseDynamo(res.Item), false).as(this._principal);
+    });
+  }
+
+  _add(model, operation, build, after) {
+    this._items.push({ model, operation, build, after });
+    return this;
+  }
+
+  async _build() {
+    const items = [];
+    this._entries = [];
+    for (const item of this._items) {
+      const built = await item.build();
+      for (const { key, operation, index, ...transactItem } of [].concat(built)) {
+        items.push(transactItem);
+        this._entries.push({ model: item.model, operation: operation || item.operation, index, key });
+      }
+    }
+    if (items.length > TRANSACT_MAX_ITEMS) {
+      throw new DynormError(`Transaction supports up to ${TRANSACT_MAX_ITEMS} items`);
+    }
+    return items;
+  }
+
+  _error(err) {
+    if (err.code !== 'TransactionCanceledException' && err.name !== 'TransactionCanceledException') {
+      return awsError(err);
+    }
+    let codes;
+    if (Array.isArray(err.CancellationReasons)) {
+      codes = err.CancellationReasons.map(r => ({ code: r.Code, message: r.Message }));
+    } else {
+      // The DocumentClient only reports the reasons in the message: "... [None, ConditionalCheckFailed]"
+      const match = /\[([^\]]*)\]\s*$/.exec(err.message || '');
+      codes = (match) ? match[1].split(',').map(c => ({ code: c.trim() })) : [];
+    }
+    const reasons = [];
+    codes.forEach((c, i) => {
+      if (!c.code || c.code === 'None' || !this._entries[i]) { return; }
+      const entry = this._entries[i];
+      const reason = { model: entry.model.name, operation: entry.operation, key: entry.key, code: c.code, message: c.message };
+      if (entry.index) { reason.index = entry.index; }
+      reasons.push(reason);
+    });
+    const msg = reasons.map(r => [r.model, r.operation, r.index, r.code].filter(v => v).join(' ')).join(', ');
+    return new TransactionError(`Transaction cancelled${(msg) ? `: ${msg}` : ''}`, reasons);
+  }
+
+  /**
+   * Key of the model from an item or a key object
+   *
+   * @param {*} Model
+   * @param {*} item
+   */
+  static key(Model, item) {
+    return Model.schema.keyOf(item);
+  }
+}
+
+/**
+ *
+ */
+class Model {
+  _isNew;
+  _data;
+
+  constructor(data = {}, isNew = true) {
+    this._isNew = isNew;
+    this._data = data;
+  }
+
+  /**
+   * Create a new Model whith a schema
+   *
+   * @param {*} name
+   * @param {*} schema
+   * @param {*} orm
+   */
+  static compile(name, schema, orm) {
+    /**
+     * Owner and tenant values the principal is restricted to, the owner is
+     * not restricted for the bypass roles. Null without principal
+     *
+     * @param {*} principal
+     */
+    const accessScope = principal => {
+      if (!principal) { return null; }
+      const scope = {};
+      const tenant = schema.tenant;
+      if (tenant) {
+        if (principal.tenantId === undefined) { throw new AccessError(`Principal without tenantId can not access ${name}`, { model: name }); }
+        scope[tenant] = principal.tenantId;
+      }
+      const owner = schema.owner;
+      const bypassRoles = (orm.access && orm.access.bypassRoles) || [];
+      if (owner && !(principal.roles || []).some(role => bypassRoles.includes(role))) {
+        if (principal.id === undefined) { throw new AccessError(`Principal without id can not access ${name}`, { model: name }); }
+        scope[owner] = principal.id;
+      }
+      return scope;
+    };
+
+    /**
+     * Throw if the model data does not belong to the scope
+     *
+     * @param {*} scope
+     * @param {*} data
+     */
+    const checkAccess = (scope, data) => {
+      for (const k in scope) {
+        if (schema.toDynamoValue(k, data[k]) !== scope[k]) { throw new AccessError(`Access denied to ${name}`, { model: name, key: schema.keyOf(data) }); }
+      }
+    };
+
+    /**
+     * Add the scope conditions to the ConditionExpression or FilterExpression of params
+     *
+     * @param {*} params
+     * @param {*} scope
+     * @param {*} type
+     */
+    const scopeCondition = (params, scope, type = 'ConditionExpression') => {
+      const names = Object.assign({}, params.ExpressionAttributeNames);
+      const values = Object.assign({}, params.ExpressionAttributeValues);
+      const conditions = Object.keys(scope).filter(k => !names[`#scope_${k}`]).map(k => {
+        names[`#scope_${k}`] = schema.attributeName(k);
+        values[`:scope_${k}`] = scope[k];
+        return `#scope_${k} = :scope_${k}`;
+      });
+      if (!conditions.length) { return params; }
+      params[type] = [params[type] && `(${params[type]})`].concat(conditions).filter(c => c).join(' AND ');
+      params.ExpressionAttributeNames = names;
+      params.ExpressionAttributeValues = values;
+      return params;
+    };
+
+    /**
+     * Typed error of a failed write, a failed condition is checked against
+     * the current item to tell why it failed
+     *
+     * @param {*} err
+     * @param {*} key
+     * @param {*} opts { isNew, version, scope } of the write
+     */
+    const writeError = async (err, key, opts = {}) => {
+      const details = { model: name, key, cause: err };
+      if (err instanceof TransactionError) {
+        const unique = err.reasons.find(r => r.operation === 'unique' && r.code === 'ConditionalCheckFailed');
+        if (unique) {
+          return new UniqueConstraintError(`Unique index constraint ${unique.index}`, Object.assign(details, { index: unique.index }));
+        }
+        const throttled = err.reasons.find(r => THROTTLING_CODES.includes(r.code) || THROTTLING_CODES.includes(`${r.code}Exception`));
+        if (throttled) { return new ThrottledError(err.message, details); }
+        if (!err.reasons.some(r => r.code === 'ConditionalCheckFailed')) { return err; }
+      } else if (err.code !== 'ConditionalCheckFailedException') {
+        return awsError(err, details);
+      }
+
+      if (opts.isNew) { return new AlreadyExistsError(`${name} already exists`, details); }
+      const { Item } = await orm.request('get', { TableName: schema.tableName, Key: key }, { model: name });
+      if (!Item) { return new NotFoundError(`${name} not found`, details); }
+      if (opts.scope && Object.keys(opts.scope).some(k => Item[schema.attributeName(k)] !== opts.scope[k])) {
+        return new AccessError(`Access denied to ${name}`, details);
+      }
+      const ver = schema.version;
+      if (ver && opts.version !== undefined && Item[ver] !== opts.version) {
+        return new VersionConflictError(`${name} version ${opts.version} is not the current version ${Item[ver]}`, Object.assign(details, { version: Item[ver] }));
+      }
+      return new DynormError(`${name} condition failed`, details);
+    };
+
+    /**
+     *  Model Definition
+     */
+    class NewModel extends Model {
+      #schema;
+      #orm;
+      #orig;
+      #pending;
+      #related = {};
+      #principal;
+      #select = null;
+      #upgraded;
+
+      constructor(data, isNew) {
+        super(data, isNew);
+        this.#schema = schema;
+        this.#orm = orm;
+        this.#upgraded = !this._isNew && this._data[UPGRADED] !== undefined;
+
+        // Populated relations are not part of the data
+        for (const k in this.#schema.relations) {
+          if (this._data[k] !== undefined) { this.#related[k] = this._data[k]; }
+          delete this._data[k];
+          Object.defineProperty(this, k, {
+            get: function () { return this.#related[k]; },
+            set: function (value) { this.#related[k] = value; }
+          });
+        }
+
+        // Snapshot to track the modified properties, the defaults of a loaded item are modifications
+        const stored = (this._isNew) ? null : clone(this._data);
+
+        for (const k in this.#schema.properties) {
+          // Key templates are composed from the other properties
+          if (this.#schema.properties[k].template) {
+            Object.defineProperty(this, k, {
+              get: function () { return schema.composeKey(k, this._data); },
+              set: function (value) { Object.assign(this._data, schema.decomposeKey(k, value)); }
+            });
+            continue;
+          }
+
+          // Generate Get/Set funtions to schema properties
+          Object.defineProperty(this, k, {
+            get: function () { return Reflect.get(this._data, k); },
+            set: function (value) { Reflect.set(this._data, k, value); }
+          });
+
+          // Initialize the default values of model
           const prop = this.#schema.properties[k];
-          if (!this._data[k] && prop.default !== undefined) {
+          if (!this._data[k] && prop.ttl && prop.expiresIn !== undefined && this._isNew) {
+            this._data[k] = this.#schema.expiry(prop.expiresIn);
+          } else if (!this._data[k] && prop.default !== undefined) {
             if (prop.type === 'string' && prop.format === 'date-time') {
               if (prop.default === 'now') {
                 this._data[k] = new Date();
@@ -305,310 +2999,1591 @@ class Model {
                 this._data[k] = new Date(prop.default);
               }
             } else {
-              this._data[k] = prop.default;
+              this._data[k] = prop.default;
+            }
+          }
+        }
+
+        this.#orig = stored || clone(this._data);
+      }
+
+      /**
+       * Names of the properties modified since the model was loaded or saved
+       */
+      modifiedPaths() {
+        return Object.keys(this.#schema.properties).filter(k => {
+          if (this._isNew) { return this._data[k] !== undefined; }
+          const value = this.#schema.toDynamoValue(k, this._data[k]);
+          return !equals(value, this.#schema.toDynamoValue(k, this.#orig[k]));
+        });
+      }
+
+      /**
+       * If the property or document path is modified, without path if any property is modified
+       *
+       * @param {*} path
+       */
+      isModified(path) {
+        const paths = this.modifiedPaths();
+        if (!path) { return paths.length > 0; }
+        const propName = path.split(/[.[]/)[0];
+        if (path === propName || this._isNew) { return paths.includes(propName); }
+        return !equals(getPath(this._data, path), getPath(this.#orig, path));
+      }
+
+      /**
+       * Discard the modifications since the model was loaded or saved
+       */
+      reset() {
+        this._data = clone(this.#orig);
+        return this;
+      }
+
+      /**
+       * Mark the model as saved with the version and timestamps of the last
+       * saveParams(), called after the write succeeds
+       */
+      _saved() {
+        if (!this.#pending) { return; }
+        const ver = this.#schema.version;
+        if (ver) {
+          this._data[ver] = this.#schema.parseDynamo(this.#pending)[ver];
+        }
+        this.#pending = null;
+        this._isNew = false;
+        this.#upgraded = false;
+        this.#orig = clone(this._data);
+      }
+
+      /**
+       * The data of the model, with the virtuals when opts.virtuals or the
+       * schema option toJSON: { virtuals: true } is set
+       *
+       * @param {*} opts
+       */
+      toJSON(opts) {
+        // JSON.stringify calls toJSON with the property name
+        const virtuals = (opts && typeof opts === 'object') ? opts.virtuals : this.#schema.jsonOptions.virtuals;
+        if (!virtuals && !Object.keys(this.#related).length) { return this._data; }
+        const json = Object.assign({}, this._data, this.#related);
+        if (!virtuals) { return json; }
+        for (const k in this.#schema.virtuals) {
+          json[k] = this[k];
+        }
+        return json;
+      }
+
+      /**
+       *
+       */
+      async save() {
+        const ver = this.#schema.version;
+        const writeOpts = () => ({
+          isNew: this._isNew,
+          version: (ver && !this._isNew) ? this.#schema.toDynamoValue(ver, this.#orig[ver]) : undefined,
+          scope: accessScope(this.#principal)
+        });
+        if (this.#schema.guarded) {
+          const opts = writeOpts();
+          try {
+            await this.#orm.transaction(tx => tx.save(this));
+          } catch (err) {
+            throw await writeError(err, this.#schema.keyOf(this._data), opts);
+          }
+          return;
+        }
+        const params = await this.saveParams();
+        if (!params) { return; }
+        try {
+          if (params.UpdateExpression) {
+            await this.#orm.request('update', params, { model: name });
+          } else {
+            await this.#orm.request('put', params, { model: name });
+          }
+        } catch (err) {
+          throw await writeError(err, this.#schema.keyOf(this._data), writeOpts());
+        }
+        this._saved();
+        await this.#schema.callHooks('post', 'save', this, params);
+      }
+
+      /**
+       * Validate the model and return the params of save(), a put for new
+       * models, an update of the modified properties for existing models, or
+       * null when nothing was modified
+       */
+      async saveParams() {
+        await this.#schema.callHooks('pre', 'validate', this);
+
+        // New models are stamped with the owner and tenant of the principal
+        const scope = accessScope(this.#principal);
+        if (scope && this._isNew) {
+          for (const k in scope) {
+            if (this._data[k] !== undefined) { continue; }
+            const prop = this.#schema.properties[k];
+            this._data[k] = (prop.$ref) ? { [prop.join[Object.keys(prop.join)[0]]]: scope[k] } : scope[k];
+          }
+        }
+        if (scope) {
+          checkAccess(scope, this._data);
+          if (!this._isNew) { checkAccess(scope, this.#orig); }
+        }
+        if (!this._isNew && !this.#upgraded && !this.isModified()) { return null; }
+
+        // Validate relations
+        for (const propName in this.#schema.properties) {
+          if (!this._data[propName]) { continue; }
+          const prop = this.#schema.properties[propName];
+          if (!prop.$ref) { continue; }
+
+          const obj = this._data[propName];
+          if (obj instanceof Model) { continue; }
+
+          const RefModel = this.#orm.model(prop.$ref);
+          this._data[propName] = await RefModel.get(obj);
+
+          if (!this._data[propName]) {
+            throw new RelationError(`Relation ${propName} not exist`, { model: name, key: this.#schema.keyOf(this._data), relation: propName });
+          }
+        }
+
+        // Validate model, of a partial model only the modified properties
+        if (this.#select) {
+          if (this._isNew) { throw new DynormError(`Partial model ${name} can not be created`); }
+          for (const k of this.modifiedPaths()) {
+            if (this._data[k] !== undefined) { this.#schema.validateValue(k, this._data[k], { model: name, key: this.#schema.keyOf(this._data) }); }
+          }
+        } else {
+          const json = JSON.parse(JSON.stringify(this._data, (k, v) => (typeof v === 'bigint') ? v.toString() : v));
+          const valid = this.#schema.validate(json);
+          if (!valid) {
+            throw this.#schema.validationError(this.#schema.validate.errors, { model: name, key: this.#schema.keyOf(this._data) });
+          }
+        }
+        await this.#schema.callHooks('post', 'validate', this);
+
+        // Validate the unique indexes with guard: false, the soft deleted items are ignored
+        for (const k in this.#schema.indexes) {
+          const index = this.#schema.indexes[k];
+          if (!index.unique || hasGuard(index) || this.#schema.isDeleted(this._data)) { continue; }
+          if (this.#select && ![index.hashKey, index.rangeKey].some(k => k && this.isModified(k))) { continue; }
+
+          let hashKey = null;
+          let hashVal = null;
+          const prop = this.#schema.properties[index.hashKey];
+          if (prop.$ref) {
+            hashKey = Object.keys(prop.join)[0];
+            const fk = prop.join[hashKey];
+            hashVal = this._data[index.hashKey][fk];
+          } else {
+            hashKey = index.hashKey;
+            hashVal = this._data[hashKey];
+          }
+          if (!hashVal) { throw new DynormError(`Unique index constraint ${k} hashKey ${hashKey} is empty`); }
+
+          let rangeKey = null;
+          let rangeVal = null;
+          if (index.rangeKey) {
+            const prop = this.#schema.properties[index.rangeKey];
+            if (prop.$ref) {
+              rangeKey = Object.keys(prop.join)[0];
+              const fk = prop.join[rangeKey];
+              rangeVal = this._data[index.rangeKey][fk];
+            } else {
+              rangeKey = index.rangeKey;
+              rangeVal = this._data[rangeKey];
+            }
+            if (!rangeVal) { throw new DynormError(`Unique index constraint ${k} rangeKey ${rangeKey} is empty`); }
+          }
+
+          const params = {
+            TableName: this.#schema.tableName,
+            IndexName: k,
+            ExpressionAttributeNames: {},
+            ExpressionAttributeValues: {}
+          };
+          params.KeyConditionExpression = `#${hashKey} = :${hashKey}`;
+          params.ExpressionAttributeNames[`#${hashKey}`] = hashKey;
+          params.ExpressionAttributeValues[`:${hashKey}`] = hashVal;
+          if (rangeKey) {
+            params.KeyConditionExpression += ` AND #${rangeKey} = :${rangeKey}`;
+            params.ExpressionAttributeNames[`#${rangeKey}`] = rangeKey;
+            params.ExpressionAttributeValues[`:${rangeKey}`] = rangeVal;
+          }
+
+          if (!this._isNew) {
+            const key = this.#schema.key;
+            params.FilterExpression = `#${key.hashKey}Pk <> :${key.hashKey}Pk`;
+            params.ExpressionAttributeNames[`#${key.hashKey}Pk`] = key.hashKey;
+            params.ExpressionAttributeValues[`:${key.hashKey}Pk`] = this._data[key.hashKey];
+            if (key.rangeKey) {
+              params.FilterExpression += ` AND #${key.rangeKey}Pk <> :${key.rangeKey}Pk`;
+              params.ExpressionAttributeNames[`#${key.rangeKey}Pk`] = key.rangeKey;
+              params.ExpressionAttributeValues[`:${key.rangeKey}Pk`] = this._data[key.rangeKey];
+            }
+          }
+          if (this.#schema.softDelete) {
+            params.FilterExpression = (params.FilterExpression) ? `${params.FilterExpression} AND ` : '';
+            params.FilterExpression += 'attribute_not_exists(#deletedAt)';
+            params.ExpressionAttributeNames['#deletedAt'] = 'deletedAt';
+          }
+          const { Count } = await this.#orm.request('query', params, { model: name });
+          if (Count) { throw new UniqueConstraintError(`Unique index constraint ${k}`, { model: name, key: this.#schema.keyOf(this._data), index: k }); }
+        }
+
+        if (this.#schema.timestamps) {
+          if (this._isNew) {
+            this._data.createdAt = new Date();
+            this._data.updatedAt = new Date();
+          } else {
+            this._data.createdAt = this.#orig.createdAt;
+            this._data.updatedAt = new Date();
+          }
+        }
+
+        let params = { TableName: this.#schema.tableName, Item: this.#schema.toDynamo(this._data) };
+
+        // If schema has version porperty, set new version
+        const ver = this.#schema.version;
+        if (ver) {
+          const prop = this.#schema.properties[ver];
+          if (this.#orig && this.#orig[ver]) {
+            params.ConditionExpression = (params.ConditionExpression) ? `${params.ConditionExpression} AND ` : '';
+            if (!params.ExpressionAttributeNames) { params.ExpressionAttributeNames = {}; }
+            if (!params.ExpressionAttributeValues) { params.ExpressionAttributeValues = {}; }
+            params.ConditionExpression += `#${ver} = :${ver}`;
+            params.ExpressionAttributeNames[`#${ver}`] = ver;
+            if (prop.type === 'integer') {
+              params.ExpressionAttributeValues[`:${ver}`] = this.#orig[ver];
+              params.Item[ver]++;
+            } else if (prop.type === 'string' && prop.format === 'date-time') {
+              params.ExpressionAttributeValues[`:${ver}`] = this.#orig[ver].getTime();
+              params.Item[ver] = Date.now();
+            } else {
+              throw new DynormError(`Version property type ${prop.type} not supported`);
+            }
+          } else if (params.Item[ver] === undefined) {
+            if (prop.type === 'integer') {
+              params.Item[ver] = 1;
+            } else if (prop.type === 'string' && prop.format === 'date-time') {
+              params.Item[ver] = Date.now();
+            } else {
+              throw new DynormError(`Version property type ${prop.type} not supported`);
+            }
+          }
+        }
+
+        this.#pending = params.Item;
+        if (this._isNew) {
+          if (!params.ExpressionAttributeNames) { params.ExpressionAttributeNames = {}; }
+          const key = this.#schema.key;
+          params.ConditionExpression = (params.ConditionExpression) ? `${params.ConditionExpression} AND ` : '';
+          params.ConditionExpression += `attribute_not_exists(#${key.hashKey})`;
+          params.ExpressionAttributeNames[`#${key.hashKey}`] = key.hashKey;
+          if (key.rangeKey) {
+            params.ConditionExpression = (params.ConditionExpression) ? `${params.ConditionExpression} AND ` : '';
+            params.ConditionExpression += `attribute_not_exists(#${key.rangeKey})`;
+            params.ExpressionAttributeNames[`#${key.rangeKey}`] = key.rangeKey;
+          }
+        } else if (this.#upgraded && !this.#select) {
+          // An item upgraded on read is put whole, so the upgrade is also saved
+          const key = this.#schema.key;
+          params.ConditionExpression = (params.ConditionExpression) ? `${params.ConditionExpression} AND ` : '';
+          params.ConditionExpression += `attribute_exists(#${key.hashKey})`;
+          params.ExpressionAttributeNames = Object.assign({}, params.ExpressionAttributeNames, { [`#${key.hashKey}`]: key.hashKey });
+          if (scope) { scopeCondition(params, scope); }
+        } else {
+          params = this._updateParams(params);
+          if (scope) { scopeCondition(params, scope); }
+        }
+
+        await this.#schema.callHooks('pre', 'save', this, params);
+        return params;
+      }
+
+      /**
+       * Put params to the update params of the modified attributes
+       *
+       * @param {*} put
+       */
+      _updateParams(put) {
+        const orig = this.#schema.toDynamo(this.#orig);
+        const key = Transaction.key(NewModel, put.Item);
+        for (const k in key) {
+          if (!equals(key[k], orig[k])) { throw new DynormError(`Key ${k} can not be modified`); }
+        }
+
+        const expr = new Expression();
+        const sets = [];
+        const removes = [];
+        // A partial model only has the selected paths of the maps, so they are updated by path
+        const diff = (path, value, origValue) => {
+          const isMap = v => v && v.constructor === Object;
+          if (this.#select && isMap(value) && isMap(origValue)) {
+            for (const k in value) { diff(`${path}.${k}`, value[k], origValue[k]); }
+            for (const k in origValue) {
+              if (value[k] === undefined) { removes.push(expr.name(`${path}.${k}`)); }
+            }
+          } else if (!equals(value, origValue)) {
+            sets.push(`${expr.name(path)} = ${expr.value(value)}`);
+          }
+        };
+        for (const k in put.Item) {
+          if (k in key) { continue; }
+          // The stamp is written even if unchanged, the item may not have it, but not by a partial model of an outdated item
+          if (this.#schema.schemaVersion && k === this.#schema.schemaVersionAttribute) {
+            if (!this.#select) { sets.push(`${expr.name(k)} = ${expr.value(put.Item[k])}`); }
+            continue;
+          }
+          diff(k, put.Item[k], orig[k]);
+        }
+        for (const k in orig) {
+          if (put.Item[k] === undefined) { removes.push(expr.name(k)); }
+        }
+
+        const params = {
+          TableName: put.TableName,
+          Key: key,
+          UpdateExpression: [['SET', sets], ['REMOVE', removes]].filter(([, a]) => a.length).map(([c, a]) => `${c} ${a.join(', ')}`).join(' '),
+          ConditionExpression: `attribute_exists(${expr.name(this.#schema.key.hashKey)})`
+        };
+        if (put.ConditionExpression) { params.ConditionExpression += ` AND ${put.ConditionExpression}`; }
+        if (put.ExpressionAttributeNames) { params.ExpressionAttributeNames = put.ExpressionAttributeNames; }
+        if (put.ExpressionAttributeValues) { params.ExpressionAttributeValues = put.ExpressionAttributeValues; }
+        return expr.assign(params);
+      }
+
+      /**
+       * Delete the model applying the onDelete of the models that reference it,
+       * with dryRun return the affected models without deleting. With the
+       * schema softDelete only deletedAt and deletedBy (opts.by) are set,
+       * unless opts.force. A soft delete applies the onDelete too: restrict
+       * rejects it, setNull removes the references and the cascaded models
+       * are soft deleted when their schema has softDelete
+       *
+       * @param {*} opts { dryRun, force, by }
+       */
+      async del(opts = {}) {
+        const soft = !!this.#schema.softDelete && !opts.force;
+        const softCascade = model => soft && !!model.constructor.schema.softDelete;
+        const plan = await this.deletePlan();
+        // The soft deleted dependents stay as they are
+        plan.cascade = plan.cascade.filter(({ model }) => !softCascade(model) || !model.constructor.schema.isDeleted(model._data));
+        if (opts.dryRun) {
+          const report = entry => Object.assign({ model: entry.model.constructor.name, key: entry.model.constructor.schema.keyOf(entry.model._data) }, entry.field && { field: entry.field });
+          const cascade = plan.cascade.map(entry => Object.assign(report(entry), softCascade(entry.model) && { soft: true }));
+          return { soft, restrict: plan.restrict.map(report), cascade, setNull: plan.setNull.map(report) };
+        }
+        if (plan.restrict.length) {
+          const names = [...new Set(plan.restrict.map(r => `${r.model.constructor.name}.${r.field}`))].join(', ');
+          throw new RelationError(`Delete restricted by ${names}`, { model: name, key: this.#schema.keyOf(this._data), dependents: plan.restrict.map(r => ({ model: r.model.constructor.name, key: r.model.constructor.schema.keyOf(r.model._data), field: r.field })) });
+        }
+
+        if (!plan.cascade.length && !plan.setNull.length) {
+          if (soft) { return this._softDel(opts.by); }
+          const writeOpts = { scope: accessScope(this.#principal) };
+          if (this.#schema.guarded) {
+            try {
+              await this.#orm.transaction(tx => tx.del(this));
+            } catch (err) {
+              throw await writeError(err, this.#schema.keyOf(this._data), writeOpts);
+            }
+            return;
+          }
+          const params = await this.delParams();
+          try {
+            await this.#orm.request('delete', params, { model: name });
+          } catch (err) {
+            throw await writeError(err, params.Key, writeOpts);
+          }
+          await this.#schema.callHooks('post', 'del', this, params);
+          return;
+        }
+
+        // The dependents are deleted or updated with the model in a transaction when they fit
+        const size = [this].concat(plan.cascade.map(c => c.model)).reduce((a, c) => a + 1 + c.guardParams(true).length, plan.setNull.length);
+        if (size <= TRANSACT_MAX_ITEMS) {
+          await this.#orm.transaction(tx => {
+            plan.setNull.forEach(({ model, field }) => tx.update(model.constructor, model._data, { $remove: [field] }, { principal: this.#principal }));
+            plan.cascade.forEach(({ model }) => tx.del(model, { force: !softCascade(model), by: opts.by }));
+            tx.del(this, { force: !soft, by: opts.by });
+          });
+          return;
+        }
+
+        for (const { model, field } of plan.setNull) {
+          await model.constructor.update(model._data, { $remove: [field] }, { principal: this.#principal });
+        }
+        const tableKeys = {};
+        const deleted = [];
+        for (const { model } of plan.cascade) {
+          if (softCascade(model)) {
+            await model._softDel(opts.by);
+            continue;
+          }
+          if (model.constructor.schema.guarded) {
+            await this.#orm.transaction(tx => tx.del(model, { force: true }));
+            continue;
+          }
+          const params = await model.delParams();
+          if (!tableKeys[params.TableName]) { tableKeys[params.TableName] = []; }
+          tableKeys[params.TableName].push(params.Key);
+          deleted.push([model, params]);
+        }
+        const unprocessed = await Model.batchWriteDeletes(this.#orm, tableKeys);
+        if (Object.keys(unprocessed).length) {
+          throw new ThrottledError(`Cascade delete of ${name} unprocessed after ${this.#orm.batch.maxAttempts} attempts`, { model: name, key: this.#schema.keyOf(this._data), unprocessed });
+        }
+        for (const [model, params] of deleted) {
+          await model.constructor.schema.callHooks('post', 'del', model, params);
+        }
+        if (soft) { return this._softDel(opts.by); }
+        await this.del({ force: true });
+      }
+
+      /**
+       * Soft delete of del(), with the release of the unique guards in a
+       * transaction when the schema has them
+       *
+       * @param {*} by
+       */
+      async _softDel(by) {
+        const ver = this.#schema.version;
+        const writeOpts = { version: (ver) ? this.#schema.toDynamoValue(ver, this.#orig[ver]) : undefined, scope: accessScope(this.#principal) };
+        const params = await this.softDelParams(by);
+        const guards = this.guardParams();
+        try {
+          if (guards.length) {
+            await new Transaction()._add(NewModel, 'del', () => [{ Update: params, key: params.Key }].concat(guards)).write(this.#orm);
+          } else {
+            await this.#orm.request('update', params, { model: name });
+          }
+        } catch (err) {
+          throw await writeError(err, params.Key, writeOpts);
+        }
+        this._saved();
+        await this.#schema.callHooks('post', 'del', this, params);
+      }
+
+      /**
+       * If the model was loaded with select, save() only updates the modified properties
+       */
+      isPartial() {
+        return !!this.#select;
+      }
+
+      /**
+       * Mark the model as loaded with the selected paths
+       *
+       * @param {*} select
+       */
+      _partial(select) {
+        this.#select = select || null;
+        // The defaults of the properties not selected are not modifications
+        if (this.#select) { this.#orig = clone(this._data); }
+        return this;
+      }
+
+      /**
+       * Restrict save() and del() of the model to the principal { id, tenantId, roles }
+       *
+       * @param {*} principal
+       */
+      as(principal) {
+        this.#principal = principal;
+        return this;
+      }
+
+      /**
+       * Extend the expiry of the TTL property and save, by default with its expiresIn
+       *
+       * @param {*} expiresIn duration like '30d', '12h' or seconds
+       */
+      async touch(expiresIn) {
+        const ttl = this.#schema.ttl;
+        if (!ttl) { throw new DynormError(`Model ${name} has not a ttl property`); }
+        const value = (expiresIn !== undefined) ? expiresIn : this.#schema.properties[ttl].expiresIn;
+        if (value === undefined) { throw new DynormError(`Property ${ttl} has not expiresIn`); }
+        this._data[ttl] = this.#schema.expiry(value);
+        await this.save();
+        return this;
+      }
+
+      /**
+       * Delete the model even if the schema has softDelete
+       *
+       * @param {*} opts { dryRun }
+       */
+      forceDelete(opts = {}) {
+        return this.del(Object.assign({}, opts, { force: true }));
+      }
+
+      /**
+       * Restore a soft deleted model
+       */
+      async restore() {
+        if (!this.#schema.softDelete) { throw new DynormError(`Model ${name} has not softDelete`); }
+        this._data.deletedAt = undefined;
+        if (this.#schema.properties.deletedBy) { this._data.deletedBy = undefined; }
+        await this.save();
+      }
+
+      /**
+       * Return the update params of the soft delete of del(), only deletedAt,
+       * deletedBy, updatedAt and the version are updated so the model is not
+       * validated and the save hooks do not run
+       *
+       * @param {*} by
+       */
+      async softDelParams(by) {
+        const scope = accessScope(this.#principal);
+        if (scope) { checkAccess(scope, this.#orig); }
+        this._data.deletedAt = new Date();
+        if (by !== undefined) { this._data.deletedBy = by; }
+        if (this.#schema.timestamps) { this._data.updatedAt = new Date(); }
+
+        const item = this.#schema.toDynamo(this._data);
+        const expr = new Expression();
+        const fields = ['deletedAt'].concat((by !== undefined) ? ['deletedBy'] : [], (this.#schema.timestamps) ? ['updatedAt'] : []);
+        const sets = fields.map(k => `${expr.name(k)} = ${expr.value(item[k])}`);
+        const conditions = [`attribute_exists(${expr.name(this.#schema.key.hashKey)})`];
+
+        const ver = this.#schema.version;
+        if (ver) {
+          const prop = this.#schema.properties[ver];
+          const orig = (this.#orig || {})[ver];
+          const name = expr.name(ver);
+          if (orig !== undefined) { conditions.push(`${name} = ${expr.value(this.#schema.toDynamoValue(ver, orig))}`); }
+          if (prop.type === 'integer') {
+            item[ver] = (orig || 0) + 1;
+          } else if (prop.type === 'string' && prop.format === 'date-time') {
+            item[ver] = Date.now();
+          } else {
+            throw new DynormError(`Version property type ${prop.type} not supported`);
+          }
+          sets.push(`${name} = ${expr.value(item[ver])}`);
+        }
+        this.#pending = item;
+
+        const params = expr.assign({
+          TableName: this.#schema.tableName,
+          Key: this.#schema.keyOf(this._data),
+          UpdateExpression: `SET ${sets.join(', ')}`,
+          ConditionExpression: conditions.join(' AND ')
+        });
+        if (scope) { scopeCondition(params, scope); }
+        await this.#schema.callHooks('pre', 'del', this, params);
+        return params;
+      }
+
+      /**
+       * Models that reference this model through a $ref property with
+       * onDelete, the cascaded models include their own dependents
+       *
+       * @param {*} plan
+       * @param {*} seen
+       */
+      async deletePlan(plan = { restrict: [], cascade: [], setNull: [] }, seen = new Set()) {
+        seen.add(`${this.#schema.tableName}:${JSON.stringify(this.#schema.keyOf(this._data))}`);
+        const item = this.#schema.toDynamo(this._data);
+        for (const { Model: RefModel, field, onDelete } of this.#orm.references(name)) {
+          if (onDelete === 'setNull' && Object.values(RefModel.schema.key).includes(field)) {
+            throw new DynormError(`Property ${field} of the key can not be onDelete setNull`);
+          }
+          const items = await RefModel.relatedItems(field, item, { withDeleted: true });
+          for (const refItem of items) {
+            // The dependents are deleted or updated with the scope of the principal
+            const model = new RefModel(RefModel.schema.parseDynamo(refItem), false).as(this.#principal);
+            const id = `${RefModel.schema.tableName}:${JSON.stringify(RefModel.schema.keyOf(refItem))}`;
+            if (seen.has(id)) { continue; }
+            if (onDelete === 'restrict') {
+              plan.restrict.push({ model, field });
+            } else if (onDelete === 'setNull') {
+              plan.setNull.push({ model, field });
+            } else {
+              plan.cascade.push({ model, field });
+              await model.deletePlan(plan, seen);
+            }
+          }
+        }
+        return plan;
+      }
+
+      /**
+       * Return the delete params of del()
+       */
+      async delParams() {
+        const key = this.#schema.keyOf(this._data);
+        const params = { TableName: this.#schema.tableName, Key: key };
+        const scope = accessScope(this.#principal);
+        if (scope) {
+          checkAccess(scope, this.#orig);
+          scopeCondition(params, scope);
+        }
+        await this.#schema.callHooks('pre', 'del', this, params);
+        return params;
+      }
+
+      /**
+       * Return the transaction items that put the new and delete the old
+       * unique guard items of save(), or delete the guard items of del()
+       *
+       * @param {*} remove
+       */
+      guardParams(remove = false) {
+        if (!this.#schema.guarded) { return []; }
+        const tableName = this.#schema.tableName;
+        const hashKey = this.#schema.key.hashKey;
+        const owner = this.#schema.keyOf(this._data);
+
+        // Soft deleted models release their guards and take them back on restore
+        const orig = (this._isNew || this.#schema.isDeleted(this.#orig)) ? {} : this.#orig;
+        const current = (remove || this.#schema.isDeleted(this._data)) ? [] : this.#schema.uniqueGuards(this._data);
+        const previous = this.#schema.uniqueGuards(orig, false);
+
+        // The guard can be written or deleted if not exist or if it belongs to this model
+        const condition = () => ({
+          ConditionExpression: 'attribute_not_exists(#hashKey) OR #owner = :owner',
+          ExpressionAttributeNames: { '#hashKey': hashKey, '#owner': UNIQUE_OWNER_ATTR },
+          ExpressionAttributeValues: { ':owner': owner }
+        });
+
+        const items = [];
+        for (const guard of previous) {
+          if (current.find(g => g.id === guard.id)) { continue; }
+          const Delete = Object.assign({ TableName: tableName, Key: guard.key }, condition());
+          items.push({ Delete, operation: 'unique', index: guard.index, key: guard.key });
+        }
+        for (const guard of current) {
+          if (previous.find(g => g.id === guard.id)) { continue; }
+          const Item = Object.assign({}, guard.key);
+          Item[UNIQUE_INDEX_ATTR] = guard.index;
+          Item[UNIQUE_OWNER_ATTR] = owner;
+          const Put = Object.assign({ TableName: tableName, Item }, condition());
+          items.push({ Put, operation: 'unique', index: guard.index, key: guard.key });
+        }
+        return items;
+      }
+
+      /**
+       * Populate the relations of DynamoDB items, nested paths like
+       * 'order.customer' are populated with one request per level
+       *
+       * @param {*} orm
+       * @param {*} fields
+       * @param {*} items
+       * @param {*} opts { withDeleted, withExpired, principal }
+       */
+      static async populate(orm, fields = [], items = [], opts = {}) {
+        if (!fields.length) { return; }
+        if (!items.length) { return; }
+
+        const paths = {};
+        for (const field of fields) {
+          const [head, ...rest] = field.split('.');
+          if (!paths[head]) { paths[head] = []; }
+          if (rest.length) { paths[head].push(rest.join('.')); }
+        }
+
+        await NewModel.populateRefs(orm, paths, items, {}, opts);
+        for (const field in paths) {
+          if (schema.relations[field]) { await NewModel.populateRelation(orm, field, paths[field], items, opts); }
+        }
+      };
+
+      /**
+       * Populate the $ref properties with a batchGet of the joined items
+       *
+       * @param {*} orm
+       * @param {*} paths nested paths of each field
+       * @param {*} items
+       * @param {*} selects selected paths of each field
+       * @param {*} opts { withDeleted, withExpired, principal }
+       */
+      static async populateRefs(orm, paths, items, selects = {}, opts = {}) {
+        const fields = Object.keys(paths).filter(field => schema.properties[field] && schema.properties[field].$ref);
+        if (!fields.length) { return; }
+
+        const tableKeys = {};
+        const keys = {};
+        const projections = {};
+
+        for (const field of fields) {
+          const prop = schema.properties[field];
+          if (selects[field]) {
+            const RefModel = orm.model(prop.$ref);
+            projections[RefModel.schema.tableName] = RefModel.schema.projection(selects[field]);
+          }
+          for (const item of items) {
+            const key = Object.keys(prop.join)[0];
+            const val = item[key];
+            if (!val) { continue; }
+
+            const fk = prop.join[key];
+            const RefModel = orm.model(prop.$ref);
+            const tableName = RefModel.schema.tableName;
+            if (!tableKeys[tableName]) { tableKeys[tableName] = []; }
+
+            // Generate a index table key to avoid duplicate keys
+            if (!keys[`${tableName}_${val}`]) {
+              const itemKey = {};
+              itemKey[fk] = item[key];
+              tableKeys[tableName].push(itemKey);
+              keys[`${tableName}_${val}`] = true;
+            }
+          }
+        }
+
+        const tableItems = await Model.batchGetKeys(orm, tableKeys, projections);
+
+        for (const field of fields) {
+          const prop = schema.properties[field];
+          const key = Object.keys(prop.join)[0];
+          const fk = prop.join[key];
+          const RefModel = orm.model(prop.$ref);
+          const tableName = RefModel.schema.tableName;
+
+          const refItems = items.map(item => {
+            const refItem = item[key] && tableItems[tableName].find(i => i[fk] === item[key]);
+            if (!refItem) { return; }
+            if (!opts.withDeleted && RefModel.schema.isDeleted(refItem)) { return; }
+            if (!opts.withExpired && RefModel.schema.isExpired(refItem)) { return; }
+            if (!RefModel.inScope(refItem, opts.principal)) { return; }
+            return refItem;
+          });
+          await RefModel.populate(orm, paths[field], [...new Set(refItems.filter(i => i))], opts);
+          items.forEach((item, i) => {
+            if (!refItems[i]) { return; }
+            item[field] = new RefModel(RefModel.schema.parseDynamo(refItems[i], { partial: !!selects[field] }), false).as(opts.principal)._partial(selects[field]);
+          });
+        }
+      };
+
+      /**
+       * Populate a hasMany or manyToMany relation. DynamoDB can not query many
+       * partitions at once, so the related items are queried once for each
+       * distinct key of the items, with at most opts.concurrency queries in flight
+       *
+       * @param {*} orm
+       * @param {*} field
+       * @param {*} paths nested paths
+       * @param {*} items
+       * @param {*} opts { withDeleted, withExpired, principal, concurrency }
+       */
+      static async populateRelation(orm, field, paths, items, opts = {}) {
+        const relation = schema.relations[field];
+        const RelModel = orm.model(relation.hasMany || relation.through);
+        if (!RelModel) { throw new RelationError(`Relation ${field} model not exist`, { model: name, relation: field }); }
+
+        const localKey = relation.localKey || schema.key.hashKey;
+        const relProp = RelModel.schema.properties[relation.foreignKey];
+        if (!relProp) { throw new RelationError(`Relation ${field} foreignKey ${relation.foreignKey} not exist`, { model: name, relation: field }); }
+
+        // A $ref foreign key is compared with the item, other foreign keys with its local key
+        const relOpts = Object.assign({ withDeleted: opts.withDeleted, withExpired: opts.withExpired, principal: opts.principal }, relation);
+        if (!relation.hasMany) { relOpts.select = undefined; }
+        // The items with the same foreign key share one query
+        const values = {};
+        const itemKeys = items.map(item => {
+          const value = (relProp.$ref) ? item : schema.parseDynamo(item)[localKey];
+          const key = JSON.stringify(RelModel.schema.toDynamo({ [relation.foreignKey]: value }));
+          values[key] = value;
+          return key;
+        });
+        const keys = Object.keys(values);
+        const results = await mapLimit(keys, opts.concurrency || POPULATE_CONCURRENCY, key => RelModel.relatedItems(relation.foreignKey, values[key], relOpts));
+        const related = itemKeys.map(key => results[keys.indexOf(key)]);
+        const relItems = [].concat(...results);
+
+        if (relation.hasMany) {
+          await RelModel.populate(orm, paths, relItems, opts);
+          items.forEach((item, i) => {
+            item[field] = related[i].map(relItem => new RelModel(RelModel.schema.parseDynamo(relItem, { partial: !!relation.select }), false).as(opts.principal)._partial(relation.select));
+          });
+          return;
+        }
+
+        // The adjacency items join with the other side of the relation
+        const otherProp = RelModel.schema.properties[relation.otherKey];
+        if (!otherProp || !otherProp.$ref) { throw new RelationError(`Relation ${field} otherKey ${relation.otherKey} is not a $ref`, { model: name, relation: field }); }
+        const OtherModel = orm.model(otherProp.$ref);
+        await RelModel.populateRefs(orm, { [relation.otherKey]: paths }, relItems, { [relation.otherKey]: relation.select }, opts);
+        items.forEach((item, i) => {
+          item[field] = related[i].map(relItem => relItem[relation.otherKey]).filter(model => model instanceof OtherModel);
+        });
+      };
+
+      /**
+       * DynamoDB items whose foreign key is the value, with the where, index,
+       * limit, descending, select, withDeleted, withExpired and principal options of a relation
+       *
+       * @param {*} foreignKey
+       * @param {*} value
+       * @param {*} opts
+       */
+      static async relatedItems(foreignKey, value, opts = {}) {
+        const where = Object.assign({}, opts.where, { [foreignKey]: value });
+        const builder = Query.plan(NewModel, { where, index: opts.index, limit: opts.limit, descending: opts.descending });
+        const params = builder.build();
+        params.TableName = schema.tableName;
+        if (opts.select) {
+          const projection = schema.projection(opts.select);
+          params.ProjectionExpression = projection.ProjectionExpression;
+          params.ExpressionAttributeNames = Object.assign({}, params.ExpressionAttributeNames, projection.ExpressionAttributeNames);
+        }
+        NewModel.accessCondition(params, opts.principal, 'FilterExpression');
+        // Like the $ref joins the relation queries of populate do not call the find hooks
+        const { Items } = await Model.find(orm, params, { model: name });
+
+        // Other entities and unique guards can share the index
+        return Items.filter(item => {
+          if (item[UNIQUE_INDEX_ATTR] !== undefined) { return false; }
+          if (!opts.withDeleted && schema.isDeleted(item)) { return false; }
+          if (!opts.withExpired && schema.isExpired(item)) { return false; }
+          return !schema.entity || item[schema.entityAttribute] === schema.entity;
+        });
+      };
+
+      /**
+       * Update an existing item and return the updated model, NotFoundError
+       * when the item not exist
+       *
+       * User.update(key, { $set: { 'address.city': 'x' }, $inc: { visits: 1 }, $append: { tags: ['a'] } }, { condition: { status: 'active' } })
+       *
+       * @param {*} key
+       * @param {*} update $set, $remove, $add, $delete, $inc, $append, $prepend and $setIfNotExists
+       * @param {*} opts { condition } a where object or a function that receives the Condition
+       */
+      static async update(key, update, opts = {}) {
+        const params = await NewModel.updateParams(key, update, opts);
+        let data;
+        try {
+          data = await orm.request('update', params, { model: name });
+        } catch (err) {
+          const $set = Object.keys(update).filter(k => UPDATE_OPS[k.toLowerCase()] === '$set').reduce((a, k) => Object.assign(a, update[k]), {});
+          const ver = schema.version;
+          const version = (ver && $set[ver] !== undefined) ? schema.toDynamoValue(ver, $set[ver]) : undefined;
+          throw await writeError(err, params.Key, { version, scope: accessScope(opts.principal) });
+        }
+        const model = new NewModel(schema.parseDynamo(data.Attributes), false);
+        await schema.callHooks('post', 'update', NewModel, params, model);
+        return model;
+      }
+
+      /**
+       * Return the update params of update()
+       *
+       * @param {*} key
+       * @param {*} update
+       * @param {*} opts
+       */
+      static async updateParams(key, update, opts = {}) {
+        key = schema.keyOf(key);
+        const scope = accessScope(opts.principal);
+        const ver = schema.version;
+        const expr = new Expression();
+        const clauses = { SET: [], REMOVE: [], ADD: [], DELETE: [] };
+        const conditions = [];
+
+        const ops = {};
+        for (const k in update) {
+          const op = UPDATE_OPS[k.toLowerCase()];
+          if (!op) { throw new DynormError(`Update operator ${k} not supported`); }
+          const values = (Array.isArray(update[k])) ? update[k].reduce((a, c) => { a[c] = true; return a; }, {}) : update[k];
+          ops[op] = Object.assign(ops[op] || {}, values);
+        }
+
+        const toSet = value => (Array.isArray(value) && orm.client.createSet) ? orm.client.createSet(value) : value;
+        const details = { model: name, key };
+        // The update of a missing item would create a partial item
+        conditions.push(`attribute_exists(${expr.name(schema.key.hashKey)})`);
+        for (const op in ops) {
+          for (const path in ops[op]) {
+            // The $set of the version is the expected version, it is updated below
+            const propName = path.split(/[.[]/)[0];
+            if (propName === ver && op === '$set') { continue; }
+            if (propName in key) { throw new DynormError(`Property ${propName} is part of the key and can not be updated`, details); }
+            if (propName === ver) { throw new DynormError(`Property ${propName} is the version and can not be updated with ${op}`, details); }
+            if (scope && propName in scope) { throw new AccessError(`Property ${propName} can not be modified`, details); }
+            // The key attributes composed from a template would keep the old value
+            const template = schema.templateOf(propName);
+            if (template) { throw new DynormError(`Property ${propName} is part of the key ${template} and can not be updated`, details); }
+            // The unique guard items are only moved by save()
+            const guarded = schema.guardedIndex(propName);
+            if (guarded) { throw new DynormError(`Property ${propName} is a key of the unique index ${guarded}, use save()`, details); }
+
+            const name = expr.name(schema.attributeName(path));
+            const value = ops[op][path];
+            switch (op) {
+              case '$set':
+                schema.validateValue(path, value, details);
+                clauses.SET.push(`${name} = ${expr.value(schema.toDynamoValue(path, value))}`);
+                break;
+              case '$setIfNotExists':
+                schema.validateValue(path, value, details);
+                clauses.SET.push(`${name} = if_not_exists(${name}, ${expr.value(schema.toDynamoValue(path, value))})`);
+                break;
+              case '$inc':
+                schema.validateOperand(op, path, value, details);
+                clauses.SET.push(`${name} = if_not_exists(${name}, ${expr.value(0)}) + ${expr.value(value)}`);
+                break;
+              case '$append':
+              case '$prepend': {
+                const list = [].concat(value);
+                list.forEach(v => schema.validateValue(`${path}[0]`, v, details));
+                const values = expr.value(list.map(v => schema.toDynamoValue(`${path}[0]`, v)));
+                const current = `if_not_exists(${name}, ${expr.value([])})`;
+                clauses.SET.push(`${name} = list_append(${(op === '$append') ? `${current}, ${values}` : `${values}, ${current}`})`);
+                break;
+              }
+              case '$remove':
+                clauses.REMOVE.push(name);
+                break;
+              case '$add':
+                schema.validateOperand(op, path, value, details);
+                clauses.ADD.push(`${name} ${expr.value((typeof value === 'number') ? value : toSet([].concat(value)))}`);
+                break;
+              case '$delete':
+                schema.validateOperand(op, path, value, details);
+                clauses.DELETE.push(`${name} ${expr.value(toSet([].concat(value)))}`);
+                break;
+            }
+          }
+        }
+
+        if (schema.timestamps) {
+          const now = Date.now();
+          if (!ops.$set || ops.$set.updatedAt === undefined) {
+            clauses.SET.push(`${expr.name('updatedAt')} = ${expr.value(now)}`);
+          }
+          if (!ops.$set || ops.$set.createdAt === undefined) {
+            clauses.SET.push(`${expr.name('createdAt')} = if_not_exists(${expr.name('createdAt')}, ${expr.value(now)})`);
+          }
+        }
+
+        if (ver) {
+          const prop = schema.properties[ver];
+          const name = expr.name(ver);
+          if (prop.type === 'integer') {
+            clauses.SET.push(`${name} = if_not_exists(${name}, ${expr.value(0)}) + ${expr.value(1)}`);
+          } else if (prop.type === 'string' && prop.format === 'date-time') {
+            clauses.SET.push(`${name} = ${expr.value(Date.now())}`);
+          } else {
+            throw new DynormError(`Version property type ${prop.type} not supported`);
+          }
+          // The version of the update is the expected current version
+          const expected = (ops.$set) ? ops.$set[ver] : undefined;
+          if (expected !== undefined) {
+            conditions.push(`${name} = ${expr.value(schema.toDynamoValue(ver, expected))}`);
+          }
+        }
+
+        if (opts.condition) {
+          const condition = Condition.from(schema, opts.condition).expression(expr);
+          if (condition) { conditions.push(`(${condition})`); }
+        }
+        for (const k in scope) {
+          conditions.push(`${expr.name(schema.attributeName(k))} = ${expr.value(scope[k])}`);
+        }
+
+        const UpdateExpression = Object.keys(clauses)
+          .filter(c => clauses[c].length)
+          .map(c => `${c} ${clauses[c].join(', ')}`)
+          .join(' ');
+        if (!UpdateExpression) { throw new DynormError('Update without changes'); }
+
+        const params = { TableName: schema.tableName, Key: key, UpdateExpression, ReturnValues: 'ALL_NEW' };
+        if (conditions.length) { params.ConditionExpression = conditions.join(' AND '); }
+        expr.assign(params);
+        await schema.callHooks('pre', 'update', NewModel, params);
+        return params;
+      }
+
+      /**
+       *
+       * @param {*} key
+       * @param {*} fields
+       * @param {*} opts { select, withDeleted, withExpired, principal }
+       */
+      static async get(key, fields = [], opts = {}) {
+        key = schema.keyOf(key);
+        const params = { TableName: schema.tableName, Key: key };
+        if (opts.select) { Object.assign(params, schema.projection(opts.select)); }
+        await schema.callHooks('pre', 'get', NewModel, params);
+        const { Item } = await orm.request('get', params, { model: name });
+        const hidden = (!opts.withDeleted && schema.isDeleted(Item)) || (!opts.withExpired && schema.isExpired(Item));
+        if (!Item || hidden) {
+          await schema.callHooks('post', 'get', null, params);
+          return null;
+        };
+
+        const scope = accessScope(opts.principal);
+        if (scope) { checkAccess(scope, schema.parseDynamo(Item, { partial: !!opts.select })); }
+
+        await NewModel.populate(orm, fields, [Item], opts);
+        const model = new NewModel(schema.parseDynamo(Item, { partial: !!opts.select }), false).as(opts.principal)._partial(opts.select);
+        await schema.callHooks('post', 'get', model, params);
+        return model;
+      }
+
+      /**
+       * Find with DocumentClient params, or with a where object that selects
+       * the key or index to query: { where, index, limit, descending, startAt, after, maxPages, maxScanned, allowScan, explain }
+       *
+       * The result has a cursor to continue with the after option when there are more items
+       *
+       * @param {*} params
+       * @param {*} fields
+       * @param {*} opts { select, after, maxPages, maxScanned, withDeleted, withExpired, principal }
+       */
+      static async find(params = {}, fields = [], opts = {}) {
+        const scope = accessScope(opts.principal);
+        if (params.where) {
+          // The owner and tenant are conditions of the where, so they can select the key or index
+          let where = params.where;
+          if (scope) {
+            for (const k in scope) {
+              if (where[k] !== undefined && schema.toDynamoValue(k, where[k]) !== scope[k]) { throw new AccessError(`Access denied to ${name}`); }
             }
+            where = Object.assign({}, where, scope);
           }
+          const builder = Query.plan(NewModel, Object.assign({ after: opts.after, maxPages: opts.maxPages, maxScanned: opts.maxScanned, withDeleted: opts.withDeleted, withExpired: opts.withExpired, select: opts.select }, params, { where }));
+          if (params.explain) { return builder.explain(); }
+          const result = await builder.exec(fields);
+          result.Items.forEach(model => model.as(opts.principal));
+          return result;
+        }
+
+        NewModel.findParams(params, opts);
+        await schema.callHooks('pre', 'find', NewModel, params);
+        const result = await Model.find(orm, params, { model: name, maxPages: opts.maxPages, maxScanned: opts.maxScanned });
+        // The key of the last item is only returned as the opaque cursor
+        if (result.LastEvaluatedKey) {
+          result.cursor = orm.encodeCursor({ m: name, i: params.IndexName, k: result.LastEvaluatedKey });
+          delete result.LastEvaluatedKey;
         }
+        // Items of other entities of the table are hydrated with their models
+        const entityModel = item => {
+          const entity = item[schema.entityAttribute];
+          if (!schema.entity || entity === undefined || entity === schema.entity) { return NewModel; }
+          return orm.entityModel(schema.tableName, entity) || NewModel;
+        };
+        await NewModel.populate(orm, fields, result.Items.filter(item => entityModel(item) === NewModel), opts);
+        result.Items = result.Items.map(item => {
+          const EntityModel = entityModel(item);
+          return new EntityModel(EntityModel.schema.parseDynamo(item, { partial: !!opts.select }), false).as(opts.principal)._partial(opts.select);
+        });
+        await schema.callHooks('post', 'find', result, params);
+        return result;
       }
 
       /**
+       * Add to the find() params the table, the start key of the cursor, the
+       * filters of the hidden items and the principal and the projection
        *
+       * @param {*} params
+       * @param {*} opts { select, after, withDeleted, withExpired, principal }
        */
-      toJSON() {
-        return this._data;
+      static findParams(params, opts = {}) {
+        params.TableName = schema.tableName;
+        if (opts.after) {
+          const cursor = orm.decodeCursor(opts.after);
+          if (cursor.m !== name || cursor.i !== params.IndexName) {
+            throw new DynormError('Cursor does not belong to this query');
+          }
+          params.ExclusiveStartKey = cursor.k;
+        }
+        schema.hiddenFilter(params, opts);
+        const scope = accessScope(opts.principal);
+        if (scope) { scopeCondition(params, scope, 'FilterExpression'); }
+        if (opts.select && !params.ProjectionExpression) {
+          const projection = schema.projection(opts.select);
+          params.ProjectionExpression = projection.ProjectionExpression;
+          params.ExpressionAttributeNames = Object.assign({}, params.ExpressionAttributeNames, projection.ExpressionAttributeNames);
+        }
+        return params;
       }
 
       /**
+       * Get the models of the keys with batchGet requests of 100 keys. Return
+       * the models in the order of the keys, null when the item not exist or
+       * failed, and the failures { key, error } of the unprocessed keys and
+       * the items out of the scope of the principal
        *
+       * @param {*} keys
+       * @param {*} opts { populate, select, withDeleted, withExpired, principal }
        */
-      async save() {
-        // Validate relations
-        for (const propName in this.#schema.properties) {
-          if (!this._data[propName]) { continue; }
-          const prop = this.#schema.properties[propName];
-          if (!prop.$ref) { continue; }
-
-          const obj = this._data[propName];
-          if (obj instanceof Model) { continue; }
+      static async batchGet(keys, opts = {}) {
+        const ids = keys.map(key => JSON.stringify(schema.keyOf(key)));
+        const tableKeys = { [schema.tableName]: [...new Set(ids)].map(id => JSON.parse(id)) };
+        const projections = (opts.select) ? { [schema.tableName]: schema.projection(opts.select) } : {};
+        const unprocessed = {};
+        const tableItems = await Model.batchGetKeys(orm, tableKeys, projections, unprocessed);
+        const failed = (unprocessed[schema.tableName] || []).map(key => ({ key, error: new ThrottledError(`${name} unprocessed after ${orm.batch.maxAttempts} attempts`, { model: name, key }) }));
 
-          const RefModel = this.#orm.model(prop.$ref);
-          this._data[propName] = await RefModel.get(obj);
+        const items = (tableItems[schema.tableName] || []).filter(item => {
+          if (schema.entity && item[schema.entityAttribute] !== schema.entity) { return false; }
+          if (!NewModel.inScope(item, opts.principal)) {
+            const key = schema.keyOf(item);
+            failed.push({ key, error: new AccessError(`Access denied to ${name}`, { model: name, key }) });
+            return false;
+          }
+          return (opts.withDeleted || !schema.isDeleted(item)) && (opts.withExpired || !schema.isExpired(item));
+        });
+        await NewModel.populate(orm, opts.populate || [], items, opts);
+        const models = items.reduce((a, item) => {
+          a[JSON.stringify(schema.keyOf(item))] = new NewModel(schema.parseDynamo(item, { partial: !!opts.select }), false).as(opts.principal)._partial(opts.select);
+          return a;
+        }, {});
+        return { models: ids.map(id => models[id] || null), failed };
+      }
 
-          if (!this._data[propName]) {
-            throw new DynormError(`Relation ${propName} not exist`);
+      /**
+       * Validate the models and put them with batchWrite requests of 25 items.
+       * The puts have no conditions, so the existence of the items is not
+       * checked and the schemas with a version or unique guards are rejected.
+       * Return the saved models and the failures { model, key, error } of the
+       * invalid, the duplicated and the unprocessed models
+       *
+       * @param {*} models models or data of new models
+       */
+      static async batchSave(models) {
+        if (schema.guarded) { throw new DynormError(`${name} has unique guards, use save()`); }
+        if (schema.version) { throw new DynormError(`${name} has the version property ${schema.version}, use save()`); }
+        const indexes = schema.indexes || {};
+        const uniques = Object.keys(indexes).filter(k => indexes[k].unique);
+        const taken = {};
+        const failed = [];
+        const entries = {};
+        for (const data of models) {
+          const model = (data instanceof NewModel) ? data : new NewModel(data);
+          const key = schema.keyOf(model._data);
+          const id = JSON.stringify(key);
+          try {
+            if (model.#select) { throw new DynormError(`Partial model ${name} can not be batch saved`); }
+            if (model.#principal) { throw new AccessError(`Model ${name} with a principal can not be batch saved, use save()`, { model: name, key }); }
+            if (entries[id]) { throw new DynormError(`${name} is duplicated in the batch`, { model: name, key }); }
+            const params = await model.saveParams();
+            if (!params) { continue; }
+            // The unique indexes are checked against the table by saveParams(), and here against the batch
+            const values = (schema.isDeleted(model._data)) ? [] : uniques.map(k => {
+              const index = indexes[k];
+              return JSON.stringify([k].concat([index.hashKey, index.rangeKey].filter(p => p).map(p => model.#pending[schema.attributeName(p)])));
+            });
+            const duplicate = values.findIndex(v => taken[v]);
+            if (duplicate >= 0) { throw new UniqueConstraintError(`Unique index constraint ${uniques[duplicate]}`, { model: name, key, index: uniques[duplicate] }); }
+            values.forEach(v => { taken[v] = true; });
+            entries[id] = [model, params];
+          } catch (err) {
+            failed.push({ model, key, error: err });
           }
         }
 
-        // Validate model
-        const json = JSON.parse(JSON.stringify(this));
-        console.log('VALIDATION1', json);
-        const valid = this.#schema.validate(json);
-        if (!valid) {
-          console.log('VALIDATION2', this.#schema.validate.errors);
-          throw new DynormError(this.#schema.validate.errors);
+        const items = Object.values(entries).map(([model]) => model.#pending);
+        const unprocessed = await Model.batchWritePuts(orm, { [schema.tableName]: items });
+        for (const req of unprocessed[schema.tableName] || []) {
+          const id = JSON.stringify(schema.keyOf(req.PutRequest.Item));
+          const [model] = entries[id];
+          delete entries[id];
+          failed.push({ model, key: JSON.parse(id), error: new ThrottledError(`${name} unprocessed after ${orm.batch.maxAttempts} attempts`, { model: name, key: JSON.parse(id) }) });
         }
 
-        // Validate unique index
-        for (const k in this.#schema.indexes) {
-          const index = this.#schema.indexes[k];
-          if (!index.unique) { continue; }
+        const saved = [];
+        for (const [model, params] of Object.values(entries)) {
+          model._saved();
+          await schema.callHooks('post', 'save', model, params);
+          saved.push(model);
+        }
+        return { saved, failed };
+      }
 
-          let hashKey = null;
-          let hashVal = null;
-          const prop = this.#schema.properties[index.hashKey];
-          if (prop.$ref) {
-            hashKey = Object.keys(prop.join)[0];
-            const fk = prop.join[hashKey];
-            hashVal = this._data[index.hashKey][fk];
-          } else {
-            hashKey = index.hashKey;
-            hashVal = this._data[hashKey];
+      /**
+       * Delete the models or keys with batchWrite requests of 25 items, the
+       * onDelete references are not applied. Return the deleted keys and the
+       * failures { key, error } of the unprocessed keys
+       *
+       * @param {*} keys models or keys
+       * @param {*} opts { force } required to delete the items of a softDelete schema
+       */
+      static async batchDelete(keys, opts = {}) {
+        if (schema.guarded) { throw new DynormError(`${name} has unique guards, use del()`); }
+        if (schema.softDelete && !opts.force) { throw new DynormError(`${name} has softDelete, batchDelete requires the force option`); }
+        if (orm.references(name).length) { throw new RelationError(`${name} is referenced with onDelete, use del()`, { model: name }); }
+        const failed = [];
+        const entries = {};
+        for (const data of keys) {
+          const model = (data instanceof NewModel) ? data : new NewModel(schema.parseDynamo(schema.keyOf(data), { partial: true }), false);
+          const key = schema.keyOf(model._data);
+          try {
+            if (model.#principal) { throw new AccessError(`Model ${name} with a principal can not be batch deleted, use del()`, { model: name, key }); }
+            const params = await model.delParams();
+            entries[JSON.stringify(key)] = [model, params];
+          } catch (err) {
+            failed.push({ key, error: err });
           }
-          if (!hashVal) { throw new DynormError(`Unique index constraint ${k} hashKey ${hashKey} is empty`); }
+        }
 
-          let rangeKey = null;
-          let rangeVal = null;
-          if (index.rangeKey) {
-            const prop = this.#schema.properties[index.rangeKey];
-            if (prop.$ref) {
-              rangeKey = Object.keys(prop.join)[0];
-              const fk = prop.join[rangeKey];
-              rangeVal = this._data[index.rangeKey][fk];
-            } else {
-              rangeKey = index.rangeKey;
-              rangeVal = this._data[rangeKey];
-            }
-            if (!rangeVal) { throw new DynormError(`Unique index constraint ${k} rangeKey ${rangeKey} is empty`); }
-          }
+        const tableKeys = { [schema.tableName]: Object.values(entries).map(([, params]) => params.Key) };
+        const unprocessed = await Model.batchWriteDeletes(orm, tableKeys);
+        for (const req of unprocessed[schema.tableName] || []) {
+          const id = JSON.stringify(schema.keyOf(req.DeleteRequest.Key));
+          delete entries[id];
+          failed.push({ key: JSON.parse(id), error: new ThrottledError(`${name} unprocessed after ${orm.batch.maxAttempts} attempts`, { model: name, key: JSON.parse(id) }) });
+        }
 
-          console.log(this.#schema);
-          console.log(this.#schema.tableName);
-          const params = {
-            TableName: this.#schema.tableName,
-            IndexName: k,
-            ExpressionAttributeNames: {},
-            ExpressionAttributeValues: {}
-          };
-          params.KeyConditionExpression = `#${hashKey} = :${hashKey}`;
-          params.ExpressionAttributeNames[`#${hashKey}`] = hashKey;
-          params.ExpressionAttributeValues[`:${hashKey}`] = hashVal;
-          if (rangeKey) {
-            params.KeyConditionExpression += ` AND #${rangeKey} = :${rangeKey}`;
-            params.ExpressionAttributeNames[`#${rangeKey}`] = rangeKey;
-            params.ExpressionAttributeValues[`:${rangeKey}`] = rangeVal;
-          }
+        const deleted = [];
+        for (const [model, params] of Object.values(entries)) {
+          await schema.callHooks('post', 'del', model, params);
+          deleted.push(params.Key);
+        }
+        return { deleted, failed };
+      }
 
-          if (!this._isNew) {
-            const key = this.#schema.key;
-            params.FilterExpression = `#${key.hashKey}Pk <> :${key.hashKey}Pk`;
-            params.ExpressionAttributeNames[`#${key.hashKey}Pk`] = key.hashKey;
-            params.ExpressionAttributeValues[`:${key.hashKey}Pk`] = this._data[key.hashKey];
-            if (key.rangeKey) {
-              params.FilterExpression += ` AND #${key.rangeKey}Pk <> :${key.rangeKey}Pk`;
-              params.ExpressionAttributeNames[`#${key.rangeKey}Pk`] = key.rangeKey;
-              params.ExpressionAttributeValues[`:${key.rangeKey}Pk`] = this._data[key.rangeKey];
-            }
-          }
-          console.log('[save]Index', params);
-          const { Count } = await this.#orm.client.query(params).promise();
-          if (Count) { throw new DynormError(`Unique index constraint ${k}`); }
+      /**
+       * Create the table and enable the TTL, with dryRun only return the params
+       *
+       * @param {*} opts { dryRun, params } params are the CreateTable params of the models of the table
+       */
+      static async createTable(opts = {}) {
+        const params = opts.params || schema.createTableParams();
+        const ttl = (schema.ttl) ? {
+          TableName: params.TableName,
+          TimeToLiveSpecification: { AttributeName: schema.attributeName(schema.ttl), Enabled: true }
+        } : undefined;
+        if (opts.dryRun) { return { createTable: params, updateTimeToLive: ttl }; }
+
+        const dynamodb = orm.dynamodb;
+        await dynamodb.createTable(params).promise();
+        if (dynamodb.waitFor) { await dynamodb.waitFor('tableExists', { TableName: params.TableName }).promise(); }
+        if (ttl) { await dynamodb.updateTimeToLive(ttl).promise(); }
+        return { createTable: params, updateTimeToLive: ttl };
+      }
+
+      /**
+       * Compare the table with describeTable and report the differences, with
+       * apply create the table or the missing global indexes and enable the TTL.
+       * Each update waits until the table and its indexes are ACTIVE
+       *
+       * @param {*} opts { apply, params, waitDelay } params are the CreateTable params of the models of the table, waitDelay the milliseconds between the status checks
+       */
+      static async syncTable(opts = {}) {
+        const dynamodb = orm.dynamodb;
+        const params = opts.params || schema.createTableParams();
+        const report = { tableName: params.TableName, exists: true, actions: [], warnings: [], applied: !!opts.apply };
+
+        let table;
+        try {
+          ({ Table: table } = await dynamodb.describeTable({ TableName: params.TableName }).promise());
+        } catch (err) {
+          if (err.code !== 'ResourceNotFoundException') { throw err; }
         }
 
-        if (this.#schema.timestamps) {
-          if (this._isNew) {
-            this._data.createdAt = new Date();
-            this._data.updatedAt = new Date();
-          } else {
-            this._data.createdAt = this.#orig.createdAt;
-            this._data.updatedAt = this.#orig.updatedAt;
+        if (!table) {
+          report.exists = false;
+          report.actions.push({ type: 'createTable', params });
+          if (schema.ttl) {
+            report.ttl = { attributeName: schema.attributeName(schema.ttl), current: null, status: 'DISABLED' };
+            report.actions.push({ type: 'updateTimeToLive', attributeName: schema.attributeName(schema.ttl) });
           }
+          if (opts.apply) { await NewModel.createTable({ params }); }
+          return report;
         }
 
-        const params = { TableName: this.#schema.tableName, Item: this.#schema.toDynamo(this._data) };
+        const sameKeys = (a = [], b = []) => JSON.stringify(a.map(k => [k.AttributeName, k.KeyType])) === JSON.stringify(b.map(k => [k.AttributeName, k.KeyType]));
+        if (!sameKeys(params.KeySchema, table.KeySchema)) {
+          report.warnings.push(`Table ${params.TableName} key schema differs and can not be updated`);
+        }
 
-        // If schema has version porperty, set new version
-        const ver = this.#schema.version;
-        if (ver) {
-          const prop = this.#schema.properties[ver];
-          if (this.#orig && this.#orig[ver]) {
-            params.ConditionExpression = (params.ConditionExpression) ? ' AND ' : '';
-            if (!params.ExpressionAttributeNames) { params.ExpressionAttributeNames = {}; }
-            if (!params.ExpressionAttributeValues) { params.ExpressionAttributeValues = {}; }
-            params.ConditionExpression += `#${ver} = :${ver}`;
-            params.ExpressionAttributeNames[`#${ver}`] = ver;
-            if (prop.type === 'integer') {
-              params.ExpressionAttributeValues[`:${ver}`] = this.#orig[ver];
-              params.Item[ver]++;
-            } else if (prop.type === 'string' && prop.format === 'date-time') {
-              params.ExpressionAttributeValues[`:${ver}`] = this.#orig[ver].getTime();
-              params.Item[ver] = Date.now();
-            } else {
-              throw new DynormError(`Version property type ${prop.type} not supported`);
+        const tableLocals = table.LocalSecondaryIndexes || [];
+        for (const index of params.LocalSecondaryIndexes || []) {
+          if (!tableLocals.find(i => i.IndexName === index.IndexName)) {
+            report.warnings.push(`Local index ${index.IndexName} is missing and can only be created with the table`);
+          }
+        }
+
+        const tableGlobals = table.GlobalSecondaryIndexes || [];
+        for (const index of params.GlobalSecondaryIndexes || []) {
+          const current = tableGlobals.find(i => i.IndexName === index.IndexName);
+          if (current) {
+            if (!sameKeys(index.KeySchema, current.KeySchema)) {
+              report.warnings.push(`Global index ${index.IndexName} key schema differs`);
             }
-          } else if (params.Item[ver] === undefined) {
-            if (prop.type === 'integer') {
-              params.Item[ver] = 1;
-            } else if (prop.type === 'string' && prop.format === 'date-time') {
-              params.Item[ver] = Date.now();
-            } else {
-              throw new DynormError(`Version property type ${prop.type} not supported`);
+            continue;
+          }
+          const attributes = index.KeySchema.map(k => k.AttributeName);
+          report.actions.push({
+            type: 'createIndex',
+            index: index.IndexName,
+            params: {
+              TableName: params.TableName,
+              AttributeDefinitions: params.AttributeDefinitions.filter(a => attributes.includes(a.AttributeName)),
+              GlobalSecondaryIndexUpdates: [{ Create: index }]
             }
+          });
+        }
+        for (const index of tableGlobals) {
+          if (!(params.GlobalSecondaryIndexes || []).find(i => i.IndexName === index.IndexName)) {
+            report.warnings.push(`Global index ${index.IndexName} is not defined in the schema`);
           }
         }
 
-        if (this._isNew) {
-          if (!params.ExpressionAttributeNames) { params.ExpressionAttributeNames = {}; }
-          const key = this.#schema.key;
-          params.ConditionExpression = (params.ConditionExpression) ? ' AND ' : '';
-          params.ConditionExpression += `attribute_not_exists(#${key.hashKey})`;
-          params.ExpressionAttributeNames[`#${key.hashKey}`] = key.hashKey;
-          if (key.rangeKey) {
-            params.ConditionExpression = (params.ConditionExpression) ? ' AND ' : '';
-            params.ConditionExpression += `attribute_not_exists(#${key.rangeKey})`;
-            params.ExpressionAttributeNames[`#${key.rangeKey}`] = key.rangeKey;
-          }
+        // The TTL of a table is on one attribute and has to be disabled to change it
+        const { TimeToLiveDescription: ttl = {} } = await dynamodb.describeTimeToLive({ TableName: params.TableName }).promise();
+        const attributeName = (schema.ttl) ? schema.attributeName(schema.ttl) : null;
+        const enabled = ['ENABLED', 'ENABLING'].includes(ttl.TimeToLiveStatus);
+        report.ttl = { attributeName, current: ttl.AttributeName || null, status: ttl.TimeToLiveStatus || 'DISABLED' };
+        if (enabled && ttl.AttributeName !== attributeName) {
+          report.warnings.push(`Table ${params.TableName} TTL is enabled on ${ttl.AttributeName}${(attributeName) ? `, disable it to use ${attributeName}` : ' that is not a ttl property'}`);
+        } else if (attributeName && !enabled) {
+          report.actions.push({ type: 'updateTimeToLive', attributeName });
         }
 
-        console.log('[save]', params);
-        await this.#orm.client.put(params).promise();
+        if (!opts.apply) { return report; }
+        // One global index per UpdateTable call
+        for (const action of report.actions) {
+          await waitForActive(dynamodb, params.TableName, opts.waitDelay);
+          if (action.type === 'createIndex') {
+            await dynamodb.updateTable(action.params).promise();
+          } else if (action.type === 'updateTimeToLive') {
+            const TimeToLiveSpecification = { AttributeName: action.attributeName, Enabled: true };
+            await dynamodb.updateTimeToLive({ TableName: params.TableName, TimeToLiveSpecification }).promise();
+          }
+        }
+        if (report.actions.length) { await waitForActive(dynamodb, params.TableName, opts.waitDelay); }
+        return report;
       }
 
       /**
+       * CloudFormation AWS::DynamoDB::Table resource of the table
        *
+       * @param {*} logicalId
        */
-      async del() {
-        const key = Object.values(this.#schema.key).reduce((a, c) => { a[c] = this[c]; return a; }, {});
-        const params = { TableName: this.#schema.tableName, Key: key };
-        await this.#orm.client.delete(params).promise();
+      static cloudFormation(logicalId = `${name}Table`) {
+        const { StreamSpecification, ...properties } = schema.createTableParams();
+        if (StreamSpecification) { properties.StreamSpecification = { StreamViewType: StreamSpecification.StreamViewType }; }
+        if (schema.ttl) {
+          properties.TimeToLiveSpecification = { AttributeName: schema.attributeName(schema.ttl), Enabled: true };
+        }
+        return { [logicalId]: { Type: 'AWS::DynamoDB::Table', Properties: properties } };
       }
 
       /**
+       * Create the unique guard items of the existing items and report the
+       * duplicated values, with dryRun only report
        *
-       * @param {*} client
-       * @param {*} fields
-       * @param {*} items
+       * @param {*} opts { dryRun }
        */
-      static async populate(client, fields = [], items = []) {
-        if (!fields.length) { return; }
-        if (!items.length) { return; }
-
-        const tableKeys = {};
-        const keys = {};
-
-        for (const field of fields) {
-          const prop = schema.properties[field];
-          if (!prop) { continue; }
-          for (const item of items) {
-            const key = Object.keys(prop.join)[0];
-            const val = item[key];
-            if (!val) { continue; }
+      static async backfillGuards(opts = {}) {
+        if (!schema.guarded) { return { scanned: 0, created: 0, duplicates: [] }; }
+        const reduce = (acc, item) => {
+          if (item[UNIQUE_INDEX_ATTR] !== undefined) { return acc; }
+          acc.scanned++;
+          const model = schema.parseDynamo(item);
+          const owner = schema.keyOf(item);
+          for (const guard of schema.uniqueGuards(model, false)) {
+            if (!acc.guards[guard.id]) { acc.guards[guard.id] = Object.assign({ owners: [] }, guard); }
+            acc.guards[guard.id].owners.push(owner);
+          }
+          return acc;
+        };
+        const params = { TableName: schema.tableName };
+        const { Accumulator } = await Model.find(orm, params, { model: name, reduce, initialValue: { scanned: 0, guards: {} } });
 
-            const fk = prop.join[key];
-            const RefModel = orm.model(prop.$ref);
-            const tableName = RefModel.schema.tableName;
-            if (!tableKeys[tableName]) { tableKeys[tableName] = []; }
+        const report = { scanned: Accumulator.scanned, created: 0, duplicates: [] };
+        for (const guard of Object.values(Accumulator.guards)) {
+          if (guard.owners.length > 1) {
+            report.duplicates.push({ index: guard.index, id: guard.id, keys: guard.owners });
+            continue;
+          }
+          if (opts.dryRun) { continue; }
 
-            // Generate a index table key to avoid duplicate keys
-            if (!keys[`${tableName}_${val}`]) {
-              const itemKey = {};
-              itemKey[fk] = item[key];
-              tableKeys[tableName].push(itemKey);
-              keys[`${tableName}_${val}`] = true;
-            }
+          const Item = Object.assign({}, guard.key);
+          Item[UNIQUE_INDEX_ATTR] = guard.index;
+          Item[UNIQUE_OWNER_ATTR] = guard.owners[0];
+          const params = {
+            TableName: schema.tableName,
+            Item,
+            ConditionExpression: 'attribute_not_exists(#hashKey) OR #owner = :owner',
+            ExpressionAttributeNames: { '#hashKey': schema.key.hashKey, '#owner': UNIQUE_OWNER_ATTR },
+            ExpressionAttributeValues: { ':owner': guard.owners[0] }
+          };
+          try {
+            await orm.request('put', params, { model: name });
+            report.created++;
+          } catch (err) {
+            if (err.code !== 'ConditionalCheckFailedException') { throw err; }
+            // The guard belongs to another item
+            report.duplicates.push({ index: guard.index, id: guard.id, keys: guard.owners });
           }
         }
+        return report;
+      }
 
-        const tableItems = await Model.batchGetKeys(client, tableKeys);
+      /**
+       * Rewrite the outdated items to the schemaVersion with a parallel scan
+       * of segments, it resumes from a checkpoint { segments: [{ lastKey, done }] }
+       * that is passed to onCheckpoint after each page. With dryRun only
+       * report the outdated and invalid items. The items modified since the
+       * scan are counted as conflicts, that requires a version property
+       *
+       * @param {*} opts { segments, pageSize, dryRun, checkpoint, onCheckpoint }
+       */
+      static async migrate(opts = {}) {
+        const latest = schema.schemaVersion;
+        const report = { model: name, tableName: schema.tableName, schemaVersion: latest, dryRun: !!opts.dryRun, scanned: 0, outdated: 0, upgraded: 0, conflicts: 0, versions: {}, invalid: [] };
+        if (!latest) { return report; }
 
-        for (const field of fields) {
-          const prop = schema.properties[field];
-          if (!prop) { continue; }
-          for (const item of items) {
-            const key = Object.keys(prop.join)[0];
-            if (!item[key]) { continue; }
+        const segments = (opts.checkpoint) ? opts.checkpoint.segments.map(s => Object.assign({}, s)) : Array.from({ length: opts.segments || 4 }, () => ({ lastKey: null, done: false }));
+        const checkpoint = { segments };
+        report.checkpoint = checkpoint;
 
-            const fk = prop.join[key];
-            const RefModel = orm.model(prop.$ref);
-            const tableName = RefModel.schema.tableName;
+        const attr = schema.schemaVersionAttribute;
+        const filter = {
+          FilterExpression: '(attribute_not_exists(#sv) OR #sv < :sv)',
+          ExpressionAttributeNames: { '#sv': attr },
+          ExpressionAttributeValues: { ':sv': latest }
+        };
+        if (schema.entity) {
+          filter.FilterExpression += ' AND #entity = :entity';
+          filter.ExpressionAttributeNames['#entity'] = schema.entityAttribute;
+          filter.ExpressionAttributeValues[':entity'] = schema.entity;
+        }
+        if (schema.guarded) {
+          filter.FilterExpression += ' AND attribute_not_exists(#uniqueIndex)';
+          filter.ExpressionAttributeNames['#uniqueIndex'] = UNIQUE_INDEX_ATTR;
+        }
 
-            const tableItem = tableItems[tableName].find(i => i[fk] === item[key]);
-            const refModel = RefModel.schema.parseDynamo(tableItem);
-            item[field] = new RefModel(refModel, false);
+        const migrateItem = async item => {
+          const key = schema.keyOf(item);
+          const version = schema.itemVersion(item);
+          report.outdated++;
+          report.versions[version] = (report.versions[version] || 0) + 1;
+          let upgraded;
+          try {
+            upgraded = schema.upgradeItem(item);
+            const json = JSON.parse(JSON.stringify(schema.parseDynamo(upgraded), (k, v) => (typeof v === 'bigint') ? v.toString() : v));
+            if (!schema.validate(json)) { throw schema.validationError(schema.validate.errors, { model: name, key }); }
+          } catch (err) {
+            report.invalid.push({ key, version, error: err });
+            return;
           }
-        }
-      };
+          if (opts.dryRun) { return; }
+
+          // The item is only replaced if it was not upgraded since the scan and,
+          // with a version property, not modified since the scan. Without a
+          // version property the updates between the scan and the put are lost
+          const expr = new Expression();
+          const conditions = [];
+          const versionCondition = (name, value) => {
+            conditions.push((value === undefined) ? `attribute_not_exists(${expr.name(name)})` : `${expr.name(name)} = ${expr.value(value)}`);
+          };
+          versionCondition(attr, item[attr]);
+          if (schema.version) {
+            const ver = schema.attributeName(schema.version);
+            versionCondition(ver, item[ver]);
+          }
+          const params = { TableName: schema.tableName, Item: upgraded, ConditionExpression: conditions.join(' AND ') };
+          expr.assign(params);
+          try {
+            await orm.request('put', params, { model: name });
+            report.upgraded++;
+          } catch (err) {
+            if (err.code !== 'ConditionalCheckFailedException') { throw awsError(err, { model: name, key }); }
+            report.conflicts++;
+          }
+        };
+
+        const migrateSegment = async segment => {
+          const state = segments[segment];
+          while (!state.done) {
+            const params = Object.assign({ TableName: schema.tableName, Segment: segment, TotalSegments: segments.length }, filter);
+            if (opts.pageSize) { params.Limit = opts.pageSize; }
+            if (state.lastKey) { params.ExclusiveStartKey = state.lastKey; }
+            const data = await orm.request('scan', params, { model: name }).catch(err => { throw awsError(err, { model: name }); });
+            report.scanned += data.ScannedCount;
+            for (const item of data.Items) {
+              await migrateItem(item);
+            }
+            state.lastKey = data.LastEvaluatedKey || null;
+            state.done = !data.LastEvaluatedKey;
+            if (opts.onCheckpoint) { await opts.onCheckpoint(JSON.parse(JSON.stringify(checkpoint))); }
+          }
+        };
+        await Promise.all(segments.map((state, segment) => migrateSegment(segment)));
+        return report;
+      }
 
       /**
+       * Change of a DynamoDB stream record { eventName, key, oldModel,
+       * newModel, changedFields }, the models are null when the stream view
+       * does not include the image
        *
-       * @param {*} key
-       * @param {*} update
+       * @param {*} record
        */
-      static async update(key, update) {
-        const params = {
-          TableName: schema.tableName,
-          Key: key,
-          ExpressionAttributeNames: {},
-          ExpressionAttributeValues: {},
-          ReturnValues: 'ALL_NEW'
-        };
-        const type = ['$SET', '$ADD', '$DELETE'].find(t => update[t]);
-        if (type === '$ADD') {
-          params.UpdateExpression = 'ADD ';
-        } else if (type === '$DELETE') {
-          params.UpdateExpression = 'DELETE ';
-        } else {
-          params.UpdateExpression = 'SET ';
-        }
-        if (schema.version) {
-          const k = schema.version;
-          // if (Object.keys(params.ExpressionAttributeNames).length) params.UpdateExpression += ', ';
-          params.UpdateExpression += `#${k} = :${k}`;
-          params.ExpressionAttributeNames[`#${k}`] = k;
-          params.ExpressionAttributeValues[`:${k}`] = Date.now();
-          if (update[type][k]) {
-            params.ConditionExpression = `#${k} = :${k}Old`;
-            params.ExpressionAttributeValues[`:${k}Old`] = update[type][k];
-          }
-          delete update[type][k];
-        }
-        Object.keys(key).forEach(k => delete update[type][k]);
-        Object.keys(update[type]).forEach(k => {
-          if (Object.keys(params.ExpressionAttributeNames).length) params.UpdateExpression += ', ';
-          params.UpdateExpression += `#${k} = :${k}`;
-          params.ExpressionAttributeNames[`#${k}`] = k;
-          params.ExpressionAttributeValues[`:${k}`] = update[type][k];
+      static fromStreamRecord(record) {
+        const { Keys, OldImage, NewImage } = record.dynamodb;
+        const oldData = OldImage && schema.parseDynamo(unmarshallItem(OldImage));
+        const newData = NewImage && schema.parseDynamo(unmarshallItem(NewImage));
+        const changedFields = Object.keys(schema.properties).filter(k => {
+          if (schema.properties[k].template || (!oldData && !newData)) { return false; }
+          return !equals((oldData || {})[k], (newData || {})[k]);
         });
-        console.log(params);
-        const data = await orm.client.update(params).promise();
-        return data.Attributes;
+        return {
+          eventName: record.eventName,
+          key: schema.keyOf(unmarshallItem(Keys)),
+          oldModel: (oldData) ? new NewModel(oldData, false) : null,
+          newModel: (newData) ? new NewModel(newData, false) : null,
+          changedFields
+        };
       }
 
       /**
+       * Request context restricted to the items of the principal { id, tenantId, roles }
        *
-       * @param {*} key
-       * @param {*} fields
+       * @param {*} principal
        */
-      static async get(key, fields = []) {
-        key = Object.values(schema.key).reduce((a, c) => { a[c] = key[c]; return a; }, {});
-        const params = { TableName: schema.tableName, Key: key };
-        const { Item } = await orm.client.get(params).promise();
-        if (!Item) { return null; };
-
-        await NewModel.populate(orm.client, fields, [Item]);
-        return new NewModel(schema.parseDynamo(Item), false);
+      static as(principal) {
+        return new AccessContext(NewModel, principal);
       }
 
       /**
+       * Add the scope of the principal to the ConditionExpression or the
+       * FilterExpression of params, unchanged without principal
        *
        * @param {*} params
-       * @param {*} fields
+       * @param {*} principal
+       * @param {*} type
        */
-      static async find(params = {}, fields = []) {
-        params.TableName = schema.tableName;
-        const result = await Model.find(orm.client, params);
-        await NewModel.populate(orm.client, fields, result.Items);
-        result.Items = result.Items.map(item => new NewModel(schema.parseDynamo(item), false));
-        return result;
+      static accessCondition(params, principal, type = 'ConditionExpression') {
+        const scope = accessScope(principal);
+        return (scope) ? scopeCondition(params, scope, type) : params;
+      }
+
+      /**
+       * If the principal can access the DynamoDB item, true without principal
+       *
+       * @param {*} item
+       * @param {*} principal
+       */
+      static inScope(item, principal) {
+        const scope = accessScope(principal);
+        return !scope || Object.keys(scope).every(k => item[schema.attributeName(k)] === scope[k]);
+      }
+
+      /**
+       * Query builder starting with the hashKey condition
+       *
+       * @param {*} hashKey
+       */
+      static query(hashKey) {
+        return new Query(NewModel, hashKey);
+      }
+
+      /**
+       * Scan builder
+       */
+      static scan() {
+        return new Scan(NewModel);
       }
 
       /**
@@ -638,30 +4613,65 @@ class Model {
       value: name
     });
 
+    // Instance methods, statics and virtuals of the schema
+    for (const k in schema.methods) {
+      if (k in NewModel.prototype || schema.properties[k]) { throw new DynormError(`Method ${k} is reserved`); }
+      NewModel.prototype[k] = schema.methods[k];
+    }
+    for (const k in schema.statics) {
+      if (k in NewModel) { throw new DynormError(`Static ${k} is reserved`); }
+      NewModel[k] = schema.statics[k];
+    }
+    for (const k in schema.virtuals) {
+      if (k in NewModel.prototype || schema.properties[k]) { throw new DynormError(`Virtual ${k} is reserved`); }
+      const virtual = schema.virtuals[k];
+      const def = (typeof virtual === 'function') ? { get: virtual } : { get: virtual.get, set: virtual.set };
+      Object.defineProperty(NewModel.prototype, k, def);
+    }
+
     return NewModel;
   }
 
   /**
+   * Write the requests, the unprocessed items are retried with backoff and
+   * returned when they are still unprocessed after the max attempts
    *
-   * @param {*} client
+   * @param {*} orm
    * @param {*} params
+   * @param {*} retries number of requests of the unprocessed items
    */
-  static async batchWrite(client, params) {
-    const data = await client.batchWrite(params).promise();
-    if (Object.keys(data.UnprocessedItems).length) {
-      params.RequestItems = data.UnprocessedItems;
-      await Model.batchWrite(client, params);
-    }
+  static async batchWrite(orm, params, retries = 0) {
+    const data = await orm.request('batchWrite', params, { retries }).catch(err => { throw awsError(err, { tables: Object.keys(params.RequestItems) }); });
+    const unprocessed = data.UnprocessedItems || {};
+    if (!Object.keys(unprocessed).length) { return {}; }
+    const opts = orm.batch;
+    if (retries + 1 >= opts.maxAttempts) { return unprocessed; }
+    await sleep(backoff(retries, opts));
+    params.RequestItems = unprocessed;
+    return Model.batchWrite(orm, params, retries + 1);
+  }
+
+  /**
+   * Merge the requests or items of each table
+   *
+   * @param {*} target
+   * @param {*} source
+   */
+  static mergeTables(target, source) {
+    return Object.keys(source).reduce((a, c) => { a[c] = (a[c]) ? a[c].concat(source[c]) : source[c]; return a; }, target);
   }
 
   /**
+   * Put the items of each table with batchWrite requests of 25 items,
+   * return the unprocessed requests
    *
-   * @param {*} client
+   * @param {*} orm
    * @param {*} tableItems
    */
-  static async batchWritePuts(client, tableItems) {
+  static async batchWritePuts(orm, tableItems) {
     if (!Object.keys(tableItems).length) { return {}; };
     const items = [];
+    const unprocessed = {};
     Object.keys(tableItems).forEach(tn => tableItems[tn].forEach(i => items.push({ tn: tn, i: i })));
     const len = items.length / 25;
     for (let x = 0, i = 0; x < len; i += 25, x++) {
@@ -670,18 +4680,22 @@ class Model {
         if (!params.RequestItems[ti.tn]) params.RequestItems[ti.tn] = [];
         params.RequestItems[ti.tn].push({ PutRequest: { Item: ti.i } });
       });
-      await Model.batchWrite(client, params);
+      Model.mergeTables(unprocessed, await Model.batchWrite(orm, params));
     }
+    return unprocessed;
   };
 
   /**
+   * Delete the keys of each table with batchWrite requests of 25 items,
+   * return the unprocessed requests
    *
-   * @param {*} client
+   * @param {*} orm
    * @param {*} tableKeys
    */
-  static async batchWriteDeletes(client, tableKeys) {
+  static async batchWriteDeletes(orm, tableKeys) {
     if (!Object.keys(tableKeys).length) { return {}; };
     const items = [];
+    const unprocessed = {};
     Object.keys(tableKeys).forEach(tn => tableKeys[tn].forEach(i => items.push({ tn: tn, i: i })));
     const len = items.length / 25;
     for (let x = 0, i = 0; x < len; i += 25, x++) {
@@ -690,45 +4704,58 @@ class Model {
         if (!params.RequestItems[ti.tn]) params.RequestItems[ti.tn] = [];
         params.RequestItems[ti.tn].push({ DeleteRequest: { Key: ti.i } });
       });
-      await Model.batchWrite(client, params);
+      Model.mergeTables(unprocessed, await Model.batchWrite(orm, params));
     }
+    return unprocessed;
   };
 
   /**
+   * Read the keys, the unprocessed keys are retried with backoff. After the
+   * max attempts they are added to the keys of each table of failed, or
+   * throw without it
    *
-   * @param {*} client
+   * @param {*} orm
    * @param {*} params
+   * @param {*} retries number of requests of the unprocessed keys
+   * @param {*} failed
    */
-  static async batchGet(client, params) {
-    const data = await client.batchGet(params).promise();
-    let obj = data.Responses;
-    if (Object.keys(data.UnprocessedKeys).length) {
-      params.RequestItems = data.UnprocessedKeys;
-      const res = await Model.batchGet(client, params);
-      obj = Object.keys(res).reduce((a, c) => { a[c] = (a[c]) ? a[c].concat(res[c]) : res[c]; return a; }, obj);
+  static async batchGet(orm, params, retries = 0, failed) {
+    const tables = Object.keys(params.RequestItems);
+    const data = await orm.request('batchGet', params, { retries }).catch(err => { throw awsError(err, { tables }); });
+    const unprocessed = data.UnprocessedKeys || {};
+    if (!Object.keys(unprocessed).length) { return data.Responses; }
+    const opts = orm.batch;
+    if (retries + 1 >= opts.maxAttempts) {
+      if (!failed) { throw new ThrottledError(`batchGet keys unprocessed after ${opts.maxAttempts} attempts`, { tables, unprocessed }); }
+      Object.keys(unprocessed).forEach(t => Model.mergeTables(failed, { [t]: unprocessed[t].Keys }));
+      return data.Responses;
     }
-    return obj;
+    await sleep(backoff(retries, opts));
+    params.RequestItems = unprocessed;
+    return Model.mergeTables(data.Responses, await Model.batchGet(orm, params, retries + 1, failed));
   };
 
   /**
+   * Read the keys of each table with batchGet requests of 100 keys
    *
-   * @param {*} client
+   * @param {*} orm
    * @param {*} tableKeys
+   * @param {*} projections projection params of each table
+   * @param {*} failed the unprocessed keys of each table are added to it instead of throwing
    */
-  static async batchGetKeys(client, tableKeys) {
+  static async batchGetKeys(orm, tableKeys, projections = {}, failed) {
     if (!Object.keys(tableKeys).length) return {};
-    let obj = Object.keys(tableKeys).reduce((a, c) => { a[c] = []; return a; }, {});
+    const obj = Object.keys(tableKeys).reduce((a, c) => { a[c] = []; return a; }, {});
     const keys = [];
     Object.keys(tableKeys).forEach(t => tableKeys[t].forEach(k => keys.push({ t: t, k: k })));
     const len = keys.length / 100;
     for (let x = 0, i = 0; x < len; i += 100, x++) {
       const params = { RequestItems: {} };
       keys.slice(i, i + 100).forEach(item => {
-        if (!params.RequestItems[item.t]) params.RequestItems[item.t] = { Keys: [] };
+        if (!params.RequestItems[item.t]) params.RequestItems[item.t] = Object.assign({ Keys: [] }, projections[item.t]);
         params.RequestItems[item.t].Keys.push(item.k);
       });
-      const res = await Model.batchGet(client, params);
-      obj = Object.keys(res).reduce((a, c) => { a[c] = (a[c]) ? a[c].concat(res[c]) : res[c]; return a; }, obj);
+      Model.mergeTables(obj, await Model.batchGet(orm, params, 0, failed));
     }
     return obj;
   };
@@ -736,17 +4763,19 @@ class Model {
   /**
    * Make a query o scan recursively and return un object with items o reduce data
    *
-   * @param {*} client DocumentClient
+   * @param {*} orm Dynorm
    * @param {*} params Query prams
-   * @param {*} opts filer, map or reduce functions
+   * @param {*} opts filer, map or reduce functions, maxPages and maxScanned to stop the requests and the model name
    * @param {*} acc accumulated object to return
+   * @param {*} page number of the request
    */
-  static async find(client, params, opts = {}, acc = { Items: [], ScannedCount: 0 }) {
+  static async find(orm, params, opts = {}, acc = { Items: [], ScannedCount: 0 }, page = 1) {
     if (opts.map && opts.reduce) { throw new Error('Only map or reduce is required'); }
     if (opts.reduce && !opts.initialValue) { throw new Error('Reduce initialValue is required'); }
     if (opts.reduce && !acc.Accumulator) { acc.Accumulator = opts.initialValue; };
 
-    const data = (params.KeyConditionExpression) ? await client.query(params).promise() : await client.scan(params).promise();
+    const operation = (params.KeyConditionExpression) ? 'query' : 'scan';
+    const data = await orm.request(operation, params, { model: opts.model }).catch(err => { throw awsError(err, { tables: [params.TableName] }); });
 
     acc.ScannedCount += data.ScannedCount;
     if (opts.filter) { data.Items = data.Items.filter(opts.filter); }
@@ -760,9 +4789,12 @@ class Model {
 
     if (params.Limit) { params.Limit -= data.Items.length; }
     if (data.LastEvaluatedKey) {
-      if (params.Limit === undefined || params.Limit > 0) {
+      const next = (params.Limit === undefined || params.Limit > 0) &&
+        (!opts.maxPages || page < opts.maxPages) &&
+        (!opts.maxScanned || acc.ScannedCount < opts.maxScanned);
+      if (next) {
         params.ExclusiveStartKey = data.LastEvaluatedKey;
-        await Model.find(client, params, opts, acc);
+        await Model.find(orm, params, opts, acc, page + 1);
       } else {
         acc.LastEvaluatedKey = data.LastEvaluatedKey;
       }
@@ -773,5 +4805,17 @@ class Model {
 }
 
 module.exports.dynorm = dynorm;
+module.exports.Dynorm = Dynorm;
 module.exports.Model = Model;
 module.exports.Schema = Schema;
+module.exports.DynormError = DynormError;
+module.exports.TransactionError = TransactionError;
+module.exports.AccessError = AccessError;
+module.exports.ValidationError = ValidationError;
+module.exports.VersionConflictError = VersionConflictError;
+module.exports.AlreadyExistsError = AlreadyExistsError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.UniqueConstraintError = UniqueConstraintError;
+module.exports.RelationError = RelationError;
+module.exports.ThrottledError = ThrottledError;
+module.exports.MemoryClient = MemoryClient;
@@ -0,0 +1,1024 @@
+'use strict';
+
+/**
+ * Error with the shape of the AWS SDK errors
+ *
+ * @param {*} code
+ * @param {*} msg
+ */
+function awsError(code, msg) {
+  const err = new Error(msg);
+  err.name = code;
+  err.code = code;
+  err.statusCode = 400;
+  err.retryable = false;
+  return err;
+}
+
+/**
+ * DocumentClient set (same shape as the AWS SDK DynamoDBSet)
+ */
+class MemorySet {
+  constructor(values, type) {
+    this.wrapperName = 'Set';
+    this.values = values;
+    this.type = type || MemorySet.type(values[0]);
+  }
+
+  toJSON() {
+    return this.values;
+  }
+
+  static type(value) {
+    if (typeof value === 'number') { return 'Number'; }
+    if (Buffer.isBuffer(value)) { return 'Binary'; }
+    return 'String';
+  }
+}
+
+function isSet(value) {
+  return !!value && value.wrapperName === 'Set';
+}
+
+function isMap(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !isSet(value) && !Buffer.isBuffer(value);
+}
+
+function clone(value) {
+  if (Array.isArray(value)) { return value.map(clone); }
+  if (isSet(value)) { return new MemorySet(value.values.slice(), value.type); }
+  if (Buffer.isBuffer(value)) { return Buffer.from(value); }
+  if (isMap(value)) {
+    return Object.keys(value).reduce((a, c) => { a[c] = clone(value[c]); return a; }, {});
+  }
+  return value;
+}
+
+/**
+ * DynamoDB type of a value (S, N, B, BOOL, NULL, M, L, SS, NS or BS)
+ *
+ * @param {*} value
+ */
+function typeOf(value) {
+  if (value === null) { return 'NULL'; }
+  if (typeof value === 'string') { return 'S'; }
+  if (typeof value === 'number') { return 'N'; }
+  if (typeof value === 'boolean') { return 'BOOL'; }
+  if (Buffer.isBuffer(value)) { return 'B'; }
+  if (Array.isArray(value)) { return 'L'; }
+  if (isSet(value)) { return { String: 'SS', Number: 'NS', Binary: 'BS' }[value.type]; }
+  return 'M';
+}
+
+function equals(a, b) {
+  const type = typeOf(a);
+  if (type !== typeOf(b)) { return false; }
+  if (type === 'B') { return a.equals(b); }
+  if (type === 'L') { return a.length === b.length && a.every((v, i) => equals(v, b[i])); }
+  if (type === 'M') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(k => k in b && equals(a[k], b[k]));
+  }
+  if (['SS', 'NS', 'BS'].includes(type)) {
+    return a.values.length === b.values.length && a.values.every(v => b.values.some(w => equals(v, w)));
+  }
+  return a === b;
+}
+
+/**
+ * Compare two scalar values, undefined when the types are not comparable
+ *
+ * @param {*} a
+ * @param {*} b
+ */
+function compare(a, b) {
+  const type = typeOf(a);
+  if (type !== typeOf(b) || !['S', 'N', 'B'].includes(type)) { return; }
+  if (type === 'B') { return Buffer.compare(a, b); }
+  if (a === b) { return 0; }
+  return (a < b) ? -1 : 1;
+}
+
+/**
+ * Compare tuples of key values, a missing value goes first
+ *
+ * @param {*} a
+ * @param {*} b
+ */
+function compareTuple(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === undefined && b[i] === undefined) { continue; }
+    if (a[i] === undefined) { return -1; }
+    if (b[i] === undefined) { return 1; }
+    const c = compare(a[i], b[i]);
+    if (c) { return c; }
+  }
+  return 0;
+}
+
+function hashCode(value) {
+  const str = String(value);
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Tokenizer and parser of condition, key condition, update and projection expressions
+ */
+class Parser {
+  #tokens;
+  #pos;
+  #names;
+
+  constructor(expression, names = {}) {
+    this.#tokens = Parser.tokenize(expression);
+    this.#pos = 0;
+    this.#names = names;
+  }
+
+  static tokenize(expression) {
+    const re = /\s*(<>|<=|>=|[=<>(),.[\]+-]|[#:]?[A-Za-z0-9_]+)/y;
+    const tokens = [];
+    let pos = 0;
+    let match;
+    // A failed exec resets lastIndex, so the end of the last token is kept
+    while (pos < expression.length && (match = re.exec(expression))) {
+      tokens.push(match[1]);
+      pos = re.lastIndex;
+    }
+    if (expression.slice(pos).trim()) {
+      throw awsError('ValidationException', `Invalid expression: ${expression}`);
+    }
+    return tokens;
+  }
+
+  peek(offset = 0) {
+    return this.#tokens[this.#pos + offset];
+  }
+
+  keyword(word) {
+    const token = this.peek();
+    if (token && token.toUpperCase() === word) {
+      this.#pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(token) {
+    const next = this.#tokens[this.#pos++];
+    if (!next || next.toUpperCase() !== token) {
+      throw awsError('ValidationException', `Invalid expression: expected ${token} and found ${next}`);
+    }
+  }
+
+  done() {
+    if (this.#pos < this.#tokens.length) {
+      throw awsError('ValidationException', `Invalid expression: unexpected ${this.peek()}`);
+    }
+  }
+
+  path() {
+    const segments = [this.attribute()];
+    for (;;) {
+      if (this.peek() === '.') {
+        this.#pos++;
+        segments.push(this.attribute());
+      } else if (this.peek() === '[') {
+        this.#pos++;
+        const index = Number(this.#tokens[this.#pos++]);
+        if (!Number.isInteger(index)) { throw awsError('ValidationException', 'Invalid expression: list index'); }
+        this.expect(']');
+        segments.push(index);
+      } else {
+        return { type: 'path', segments };
+      }
+    }
+  }
+
+  attribute() {
+    const token = this.#tokens[this.#pos++];
+    if (!token || !/^#?[A-Za-z0-9_]+$/.test(token)) {
+      throw awsError('ValidationException', `Invalid expression: attribute ${token}`);
+    }
+    if (token.startsWith('#')) {
+      if (this.#names[token] === undefined) {
+        throw awsError('ValidationException', `An expression attribute name used in the document path is not defined: ${token}`);
+      }
+      return this.#names[token];
+    }
+    return token;
+  }
+
+  operand() {
+    const token = this.peek();
+    if (token && token.startsWith(':')) {
+      this.#pos++;
+      return { type: 'value', name: token };
+    }
+    if (token && token.toLowerCase() === 'size' && this.peek(1) === '(') {
+      this.#pos += 2;
+      const path = this.path();
+      this.expect(')');
+      return { type: 'size', path };
+    }
+    return this.path();
+  }
+
+  // Condition expressions
+
+  condition() {
+    let node = this.and();
+    while (this.keyword('OR')) {
+      node = { type: 'OR', left: node, right: this.and() };
+    }
+    return node;
+  }
+
+  and() {
+    let node = this.not();
+    while (this.keyword('AND')) {
+      node = { type: 'AND', left: node, right: this.not() };
+    }
+    return node;
+  }
+
+  not() {
+    if (this.keyword('NOT')) {
+      return { type: 'NOT', node: this.not() };
+    }
+    return this.primary();
+  }
+
+  primary() {
+    if (this.peek() === '(') {
+      this.#pos++;
+      const node = this.condition();
+      this.expect(')');
+      return node;
+    }
+
+    const token = (this.peek() || '').toLowerCase();
+    if (Parser.FUNCTIONS.includes(token) && this.peek(1) === '(') {
+      this.#pos += 2;
+      const args = [this.path()];
+      while (this.peek() === ',') {
+        this.#pos++;
+        args.push(this.operand());
+      }
+      this.expect(')');
+      return { type: 'function', name: token, args };
+    }
+
+    const left = this.operand();
+    if (this.keyword('BETWEEN')) {
+      const from = this.operand();
+      this.expect('AND');
+      return { type: 'BETWEEN', left, from, to: this.operand() };
+    }
+    if (this.keyword('IN')) {
+      this.expect('(');
+      const values = [this.operand()];
+      while (this.peek() === ',') {
+        this.#pos++;
+        values.push(this.operand());
+      }
+      this.expect(')');
+      return { type: 'IN', left, values };
+    }
+    const op = this.#tokens[this.#pos++];
+    if (!['=', '<>', '<', '<=', '>', '>='].includes(op)) {
+      throw awsError('ValidationException', `Invalid expression: unexpected ${op}`);
+    }
+    return { type: 'compare', op, left, right: this.operand() };
+  }
+
+  // Update expressions
+
+  update() {
+    const actions = [];
+    while (this.peek()) {
+      const clause = this.#tokens[this.#pos++].toUpperCase();
+      if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause)) {
+        throw awsError('ValidationException', `Invalid UpdateExpression: unexpected ${clause}`);
+      }
+      for (;;) {
+        const path = this.path();
+        if (clause === 'SET') {
+          this.expect('=');
+          actions.push({ clause, path, value: this.setValue() });
+        } else if (clause === 'REMOVE') {
+          actions.push({ clause, path });
+        } else {
+          actions.push({ clause, path, value: this.operand() });
+        }
+        if (this.peek() !== ',') { break; }
+        this.#pos++;
+      }
+    }
+    return actions;
+  }
+
+  setValue() {
+    const left = this.setOperand();
+    if (this.peek() === '+' || this.peek() === '-') {
+      const op = this.#tokens[this.#pos++];
+      return { type: 'arithmetic', op, left, right: this.setOperand() };
+    }
+    return left;
+  }
+
+  setOperand() {
+    const token = (this.peek() || '').toLowerCase();
+    if ((token === 'if_not_exists' || token === 'list_append') && this.peek(1) === '(') {
+      this.#pos += 2;
+      const first = (token === 'if_not_exists') ? this.path() : this.setOperand();
+      this.expect(',');
+      const second = this.setOperand();
+      this.expect(')');
+      return { type: token, args: [first, second] };
+    }
+    return this.operand();
+  }
+
+  // Projection expressions
+
+  projection() {
+    const paths = [this.path()];
+    while (this.peek() === ',') {
+      this.#pos++;
+      paths.push(this.path());
+    }
+    return paths;
+  }
+}
+
+Parser.FUNCTIONS = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'];
+
+/**
+ * Evaluate parsed expressions over an item
+ */
+class Evaluator {
+  #values;
+
+  constructor(values = {}) {
+    this.#values = values;
+  }
+
+  static get(item, segments) {
+    let value = item;
+    for (const segment of segments) {
+      if (value === undefined || value === null) { return; }
+      if (typeof segment === 'number') {
+        if (!Array.isArray(value)) { return; }
+      } else if (!isMap(value)) {
+        return;
+      }
+      value = value[segment];
+    }
+    return value;
+  }
+
+  static set(item, segments, value) {
+    const parent = Evaluator.get(item, segments.slice(0, -1));
+    const last = segments[segments.length - 1];
+    if (typeof last === 'number') {
+      if (!Array.isArray(parent)) { throw awsError('ValidationException', 'The document path provided in the update expression is invalid for update'); }
+      if (last >= parent.length) { parent.push(value); } else { parent[last] = value; }
+    } else {
+      if (!isMap(parent)) { throw awsError('ValidationException', 'The document path provided in the update expression is invalid for update'); }
+      parent[last] = value;
+    }
+  }
+
+  static remove(item, segments) {
+    const parent = Evaluator.get(item, segments.slice(0, -1));
+    const last = segments[segments.length - 1];
+    if (Array.isArray(parent) && typeof last === 'number') {
+      if (last < parent.length) { parent.splice(last, 1); }
+    } else if (isMap(parent)) {
+      delete parent[last];
+    }
+  }
+
+  value(node, item) {
+    if (node.type === 'value') {
+      if (!(node.name in this.#values)) {
+        throw awsError('ValidationException', `An expression attribute value used in expression is not defined: ${node.name}`);
+      }
+      return this.#values[node.name];
+    }
+    if (node.type === 'path') { return Evaluator.get(item, node.segments); }
+    if (node.type === 'size') {
+      const value = Evaluator.get(item, node.path.segments);
+      if (typeof value === 'string' || Array.isArray(value) || Buffer.isBuffer(value)) { return value.length; }
+      if (isSet(value)) { return value.values.length; }
+      if (isMap(value)) { return Object.keys(value).length; }
+      return undefined;
+    }
+    if (node.type === 'if_not_exists') {
+      const value = Evaluator.get(item, node.args[0].segments);
+      return (value === undefined) ? this.value(node.args[1], item) : value;
+    }
+    if (node.type === 'list_append') {
+      const a = this.value(node.args[0], item);
+      const b = this.value(node.args[1], item);
+      if (!Array.isArray(a) || !Array.isArray(b)) { throw awsError('ValidationException', 'Incorrect operand type for operator or function; operator or function: list_append'); }
+      return a.concat(b);
+    }
+    if (node.type === 'arithmetic') {
+      const a = this.value(node.left, item);
+      const b = this.value(node.right, item);
+      if (typeof a !== 'number' || typeof b !== 'number') {
+        throw awsError('ValidationException', `An operand in the update expression has an incorrect data type for operator ${node.op}`);
+      }
+      return (node.op === '+') ? a + b : a - b;
+    }
+  }
+
+  test(node, item) {
+    switch (node.type) {
+      case 'OR':
+        return this.test(node.left, item) || this.test(node.right, item);
+      case 'AND':
+        return this.test(node.left, item) && this.test(node.right, item);
+      case 'NOT':
+        return !this.test(node.node, item);
+      case 'BETWEEN': {
+        const value = this.value(node.left, item);
+        const from = compare(value, this.value(node.from, item));
+        const to = compare(value, this.value(node.to, item));
+        return from !== undefined && to !== undefined && from >= 0 && to <= 0;
+      }
+      case 'IN': {
+        const value = this.value(node.left, item);
+        return value !== undefined && node.values.some(v => equals(value, this.value(v, item)));
+      }
+      case 'compare': {
+        const left = this.value(node.left, item);
+        const right = this.value(node.right, item);
+        if (left === undefined || right === undefined) { return false; }
+        if (node.op === '=') { return equals(left, right); }
+        if (node.op === '<>') { return !equals(left, right); }
+        const c = compare(left, right);
+        if (c === undefined) { return false; }
+        return { '<': c < 0, '<=': c <= 0, '>': c > 0, '>=': c >= 0 }[node.op];
+      }
+      case 'function':
+        return this.function(node, item);
+    }
+    return false;
+  }
+
+  function(node, item) {
+    const value = Evaluator.get(item, node.args[0].segments);
+    const arg = (node.args[1]) ? this.value(node.args[1], item) : undefined;
+    switch (node.name) {
+      case 'attribute_exists':
+        return value !== undefined;
+      case 'attribute_not_exists':
+        return value === undefined;
+      case 'attribute_type':
+        return value !== undefined && typeOf(value) === arg;
+      case 'begins_with':
+        if (typeof value === 'string' && typeof arg === 'string') { return value.startsWith(arg); }
+        if (Buffer.isBuffer(value) && Buffer.isBuffer(arg)) { return value.slice(0, arg.length).equals(arg); }
+        return false;
+      case 'contains':
+        if (typeof value === 'string' && typeof arg === 'string') { return value.includes(arg); }
+        if (Array.isArray(value)) { return value.some(v => equals(v, arg)); }
+        if (isSet(value)) { return value.values.some(v => equals(v, arg)); }
+        return false;
+    }
+    return false;
+  }
+
+  update(actions, item) {
+    const updated = new Set();
+    const sets = actions.filter(a => a.clause === 'SET').map(a => [a, this.value(a.value, item)]);
+    for (const [action, value] of sets) {
+      if (value === undefined) { throw awsError('ValidationException', 'The provided expression refers to an attribute that does not exist in the item'); }
+      Evaluator.set(item, action.path.segments, clone(value));
+      updated.add(action.path.segments[0]);
+    }
+
+    for (const action of actions.filter(a => a.clause === 'ADD' || a.clause === 'DELETE')) {
+      const current = Evaluator.get(item, action.path.segments);
+      const value = this.value(action.value, item);
+      if (action.clause === 'ADD' && typeof value === 'number') {
+        if (current !== undefined && typeof current !== 'number') { throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type'); }
+        Evaluator.set(item, action.path.segments, (current || 0) + value);
+      } else if (isSet(value)) {
+        if (current !== undefined && (!isSet(current) || current.type !== value.type)) {
+          throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+        }
+        const values = (current) ? current.values.slice() : [];
+        if (action.clause === 'ADD') {
+          value.values.forEach(v => { if (!values.some(w => equals(v, w))) { values.push(v); } });
+          Evaluator.set(item, action.path.segments, new MemorySet(values, value.type));
+        } else {
+          const rest = values.filter(v => !value.values.some(w => equals(v, w)));
+          if (rest.length) {
+            Evaluator.set(item, action.path.segments, new MemorySet(rest, value.type));
+          } else {
+            Evaluator.remove(item, action.path.segments);
+          }
+        }
+      } else {
+        throw awsError('ValidationException', `Incorrect operand type for operator or function; operator: ${action.clause}`);
+      }
+      updated.add(action.path.segments[0]);
+    }
+
+    // Remove the list elements from the last index to keep the positions
+    const removes = actions.filter(a => a.clause === 'REMOVE').map(a => a.path.segments).sort((a, b) => {
+      const x = a[a.length - 1];
+      const y = b[b.length - 1];
+      return (typeof x === 'number' && typeof y === 'number') ? y - x : 0;
+    });
+    for (const segments of removes) {
+      Evaluator.remove(item, segments);
+      updated.add(segments[0]);
+    }
+    return updated;
+  }
+
+  static project(item, paths) {
+    const result = {};
+    for (const { segments } of paths) {
+      const value = Evaluator.get(item, segments);
+      if (value === undefined) { continue; }
+      let target = result;
+      segments.forEach((segment, i) => {
+        const key = (typeof target === 'object' && Array.isArray(target) && typeof segment === 'number') ? target.length : segment;
+        if (i === segments.length - 1) {
+          target[key] = clone(value);
+          return;
+        }
+        if (target[key] === undefined) { target[key] = (typeof segments[i + 1] === 'number') ? [] : {}; }
+        target = target[key];
+      });
+    }
+    return result;
+  }
+}
+
+/**
+ * In memory stand-in of the DocumentClient, with the table management
+ * operations of the DynamoDB service to create the tables with dynorm.sync()
+ *
+ * dynorm.client = new MemoryClient(); await dynorm.sync({ apply: true });
+ */
+class MemoryClient {
+  #tables;
+
+  constructor() {
+    this.#tables = {};
+  }
+
+  /**
+   * The client is also the DynamoDB service of the table management
+   */
+  get service() {
+    return this;
+  }
+
+  createSet(list, opts = {}) {
+    return new MemorySet(list.slice());
+  }
+
+  // Table management
+
+  createTable(params) {
+    return this._request(() => {
+      if (this.#tables[params.TableName]) { throw awsError('ResourceInUseException', `Table already exists: ${params.TableName}`); }
+      this.#tables[params.TableName] = { definition: clone(params), items: new Map(), ttl: null, createdAt: new Date() };
+      return { TableDescription: this._describe(params.TableName) };
+    });
+  }
+
+  deleteTable(params) {
+    return this._request(() => {
+      const description = this._describe(params.TableName);
+      delete this.#tables[params.TableName];
+      return { TableDescription: description };
+    });
+  }
+
+  describeTable(params) {
+    return this._request(() => ({ Table: this._describe(params.TableName) }));
+  }
+
+  updateTable(params) {
+    return this._request(() => {
+      const table = this._table(params.TableName);
+      const definition = table.definition;
+      for (const attr of params.AttributeDefinitions || []) {
+        definition.AttributeDefinitions = definition.AttributeDefinitions.filter(a => a.AttributeName !== attr.AttributeName).concat([attr]);
+      }
+      for (const update of params.GlobalSecondaryIndexUpdates || []) {
+        const indexes = definition.GlobalSecondaryIndexes || [];
+        if (update.Create) {
+          if (indexes.find(i => i.IndexName === update.Create.IndexName)) {
+            throw awsError('ValidationException', `Index already exists: ${update.Create.IndexName}`);
+          }
+          definition.GlobalSecondaryIndexes = indexes.concat([clone(update.Create)]);
+        } else if (update.Delete) {
+          definition.GlobalSecondaryIndexes = indexes.filter(i => i.IndexName !== update.Delete.IndexName);
+        }
+      }
+      if (params.BillingMode) { definition.BillingMode = params.BillingMode; }
+      if (params.StreamSpecification) { definition.StreamSpecification = clone(params.StreamSpecification); }
+      return { TableDescription: this._describe(params.TableName) };
+    });
+  }
+
+  describeTimeToLive(params) {
+    return this._request(() => {
+      const table = this._table(params.TableName);
+      const description = (table.ttl) ? { AttributeName: table.ttl, TimeToLiveStatus: 'ENABLED' } : { TimeToLiveStatus: 'DISABLED' };
+      return { TimeToLiveDescription: description };
+    });
+  }
+
+  updateTimeToLive(params) {
+    return this._request(() => {
+      const table = this._table(params.TableName);
+      const spec = params.TimeToLiveSpecification;
+      table.ttl = (spec.Enabled) ? spec.AttributeName : null;
+      return { TimeToLiveSpecification: clone(spec) };
+    });
+  }
+
+  listTables() {
+    return this._request(() => ({ TableNames: Object.keys(this.#tables).sort() }));
+  }
+
+  // Items
+
+  get(params) {
+    return this._request(() => {
+      const table = this._table(params.TableName);
+      const item = table.items.get(this._keyId(table, params.Key));
+      const res = {};
+      if (item) { res.Item = this._project(item, params); }
+      return this._capacity(res, params);
+    });
+  }
+
+  put(params) {
+    return this._request(() => {
+      const table = this._table(params.TableName);
+      this._validateItem(table, params.Item);
+      const id = this._keyId(table, params.Item);
+      const old = table.items.get(id);
+      this._check(old, params);
+      table.items.set(id, clone(params.Item));
+      return this._capacity(this._returnValues(params, old), params);
+    });
+  }
+
+  update(params) {
+    return this._request(() => {
+      const table = this._table(params.TableName);
+      const id = this._keyId(table, params.Key);
+      const old = table.items.get(id);
+      this._check(old, params);
+      const { item, updated } = this._update(table, old, params);
+      table.items.set(id, item);
+      return this._capacity(this._returnValues(params, old, item, updated), params);
+    });
+  }
+
+  delete(params) {
+    return this._request(() => {
+      const table = this._table(params.TableName);
+      const id = this._keyId(table, params.Key);
+      const old = table.items.get(id);
+      this._check(old, params);
+      table.items.delete(id);
+      return this._capacity(this._returnValues(params, old), params);
+    });
+  }
+
+  query(params) {
+    return this._request(() => {
+      if (!params.KeyConditionExpression) { throw awsError('ValidationException', 'Query requires a KeyConditionExpression'); }
+      const table = this._table(params.TableName);
+      const parser = this._parse(params.KeyConditionExpression, params);
+      const keyCondition = parser.condition();
+      parser.done();
+      const evaluator = new Evaluator(params.ExpressionAttributeValues);
+      return this._read(table, params, item => evaluator.test(keyCondition, item), params.ScanIndexForward === false);
+    });
+  }
+
+  scan(params) {
+    return this._request(() => {
+      const table = this._table(params.TableName);
+      const segments = params.TotalSegments;
+      const match = (segments) ? item => hashCode(JSON.stringify(this._key(table, item))) % segments === params.Segment : () => true;
+      return this._read(table, params, match, false);
+    });
+  }
+
+  batchGet(params) {
+    return this._request(() => {
+      const Responses = {};
+      for (const tableName in params.RequestItems) {
+        const request = params.RequestItems[tableName];
+        if (request.Keys.length > 100) { throw awsError('ValidationException', 'Too many items requested for the BatchGetItem call'); }
+        const table = this._table(tableName);
+        Responses[tableName] = request.Keys
+          .map(key => table.items.get(this._keyId(table, key)))
+          .filter(item => item)
+          .map(item => this._project(item, request));
+      }
+      return this._capacity({ Responses, UnprocessedKeys: {} }, params, Object.keys(params.RequestItems));
+    });
+  }
+
+  batchWrite(params) {
+    return this._request(() => {
+      const requests = [];
+      for (const tableName in params.RequestItems) {
+        const table = this._table(tableName);
+        for (const request of params.RequestItems[tableName]) {
+          if (request.PutRequest) { this._validateItem(table, request.PutRequest.Item); }
+          requests.push({ table, request });
+        }
+      }
+      if (requests.length > 25) { throw awsError('ValidationException', 'Too many items requested for the BatchWriteItem call'); }
+      for (const { table, request } of requests) {
+        if (request.PutRequest) {
+          table.items.set(this._keyId(table, request.PutRequest.Item), clone(request.PutRequest.Item));
+        } else {
+          table.items.delete(this._keyId(table, request.DeleteRequest.Key));
+        }
+      }
+      return this._capacity({ UnprocessedItems: {} }, params, Object.keys(params.RequestItems));
+    });
+  }
+
+  transactWrite(params) {
+    return this._request(() => {
+      const items = params.TransactItems || [];
+      if (items.length > 100) { throw awsError('ValidationException', 'Member must have length less than or equal to 100'); }
+
+      const ops = items.map(transactItem => {
+        const type = Object.keys(transactItem)[0];
+        const op = transactItem[type];
+        const table = this._table(op.TableName);
+        if (type === 'Put') { this._validateItem(table, op.Item); }
+        const id = this._keyId(table, op.Key || op.Item);
+        return { type, op, table, id };
+      });
+      const ids = ops.map(o => `${o.op.TableName}|${o.id}`);
+      if (new Set(ids).size !== ids.length) {
+        throw awsError('ValidationException', 'Transaction request cannot include multiple operations on one item');
+      }
+
+      const reasons = ops.map(({ op, table, id }) => {
+        try {
+          this._check(table.items.get(id), op);
+          return { Code: 'None' };
+        } catch (err) {
+          if (err.code !== 'ConditionalCheckFailedException') { throw err; }
+          return { Code: 'ConditionalCheckFailed', Message: 'The conditional request failed' };
+        }
+      });
+      if (reasons.some(r => r.Code !== 'None')) {
+        const err = awsError('TransactionCanceledException', `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(r => r.Code).join(', ')}]`);
+        err.CancellationReasons = reasons;
+        throw err;
+      }
+
+      // Apply the updates on copies first, so a validation error writes nothing
+      const writes = ops.map(({ type, op, table, id }) => {
+        if (type === 'Update') { return { table, id, item: this._update(table, table.items.get(id), op).item }; }
+        if (type === 'Put') { return { table, id, item: clone(op.Item) }; }
+        return { table, id, item: (type === 'Delete') ? null : undefined };
+      });
+      for (const { table, id, item } of writes) {
+        if (item === null) { table.items.delete(id); } else if (item) { table.items.set(id, item); }
+      }
+      return this._capacity({}, params, [...new Set(ops.map(o => o.op.TableName))]);
+    });
+  }
+
+  transactGet(params) {
+    return this._request(() => {
+      const items = params.TransactItems || [];
+      if (items.length > 100) { throw awsError('ValidationException', 'Member must have length less than or equal to 100'); }
+      const Responses = items.map(({ Get }) => {
+        const table = this._table(Get.TableName);
+        const item = table.items.get(this._keyId(table, Get.Key));
+        return (item) ? { Item: this._project(item, Get) } : {};
+      });
+      return this._capacity({ Responses }, params, [...new Set(items.map(i => i.Get.TableName))]);
+    });
+  }
+
+  // Internals
+
+  _request(fn) {
+    return { promise: () => new Promise(resolve => resolve(fn())) };
+  }
+
+  _table(tableName) {
+    const table = this.#tables[tableName];
+    if (!table) { throw awsError('ResourceNotFoundException', `Requested resource not found: Table: ${tableName} not found`); }
+    return table;
+  }
+
+  _describe(tableName) {
+    const table = this._table(tableName);
+    const definition = clone(table.definition);
+    (definition.GlobalSecondaryIndexes || []).forEach(i => { i.IndexStatus = 'ACTIVE'; });
+    return Object.assign(definition, {
+      TableStatus: 'ACTIVE',
+      CreationDateTime: table.createdAt,
+      ItemCount: table.items.size,
+      BillingModeSummary: { BillingMode: definition.BillingMode || 'PROVISIONED' }
+    });
+  }
+
+  _keyNames(table, indexName) {
+    const definition = table.definition;
+    let keySchema = definition.KeySchema;
+    if (indexName) {
+      const index = (definition.GlobalSecondaryIndexes || []).concat(definition.LocalSecondaryIndexes || [])
+        .find(i => i.IndexName === indexName);
+      if (!index) { throw awsError('ValidationException', `The table does not have the specified index: ${indexName}`); }
+      keySchema = index.KeySchema;
+    }
+    const hash = keySchema.find(k => k.KeyType === 'HASH').AttributeName;
+    const range = (keySchema.find(k => k.KeyType === 'RANGE') || {}).AttributeName;
+    return { hash, range };
+  }
+
+  _key(table, item, indexName) {
+    const names = [this._keyNames(table)];
+    if (indexName) { names.push(this._keyNames(table, indexName)); }
+    const key = {};
+    names.forEach(({ hash, range }) => {
+      key[hash] = item[hash];
+      if (range) { key[range] = item[range]; }
+    });
+    return key;
+  }
+
+  _keyId(table, key) {
+    if (!key) { throw awsError('ValidationException', 'The provided key element does not match the schema'); }
+    const { hash, range } = this._keyNames(table);
+    for (const name of [hash, range].filter(n => n)) {
+      const type = (table.definition.AttributeDefinitions.find(a => a.AttributeName === name) || {}).AttributeType;
+      if (key[name] === undefined || (type && typeOf(key[name]) !== type)) {
+        throw awsError('ValidationException', 'The provided key element does not match the schema');
+      }
+    }
+    return JSON.stringify([key[hash], range ? key[range] : null]);
+  }
+
+  _validateItem(table, item) {
+    this._keyId(table, item);
+    // Index key attributes must have the defined type
+    for (const attr of table.definition.AttributeDefinitions) {
+      const value = item[attr.AttributeName];
+      if (value !== undefined && typeOf(value) !== attr.AttributeType) {
+        throw awsError('ValidationException', `One or more parameter values were invalid: Type mismatch for Index Key ${attr.AttributeName}`);
+      }
+    }
+  }
+
+  _parse(expression, params) {
+    return new Parser(expression, params.ExpressionAttributeNames);
+  }
+
+  _check(item, params) {
+    if (!params.ConditionExpression) { return; }
+    const parser = this._parse(params.ConditionExpression, params);
+    const condition = parser.condition();
+    parser.done();
+    if (!new Evaluator(params.ExpressionAttributeValues).test(condition, item || {})) {
+      throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+    }
+  }
+
+  _update(table, old, params) {
+    const item = (old) ? clone(old) : clone(params.Key);
+    let updated = new Set();
+    if (params.UpdateExpression) {
+      const parser = this._parse(params.UpdateExpression, params);
+      const actions = parser.update();
+      parser.done();
+      const paths = actions.map(a => a.path.segments);
+      const overlap = (a, b) => a.every((s, i) => i >= b.length || s === b[i]);
+      if (paths.some((a, i) => paths.some((b, j) => i !== j && overlap(a, b)))) {
+        throw awsError('ValidationException', 'Invalid UpdateExpression: Two document paths overlap with each other');
+      }
+      const keys = Object.values(this._keyNames(table));
+      if (actions.some(a => keys.includes(a.path.segments[0]))) {
+        throw awsError('ValidationException', 'Cannot update attribute, this attribute is part of the key');
+      }
+      updated = new Evaluator(params.ExpressionAttributeValues).update(actions, item);
+    }
+    this._validateItem(table, item);
+    return { item, updated };
+  }
+
+  _project(item, params) {
+    if (!params.ProjectionExpression) { return clone(item); }
+    const parser = this._parse(params.ProjectionExpression, params);
+    const paths = parser.projection();
+    parser.done();
+    return Evaluator.project(item, paths);
+  }
+
+  _returnValues(params, old, item, updated) {
+    const res = {};
+    const pick = (source) => [...updated].reduce((a, c) => { if (source && source[c] !== undefined) { a[c] = clone(source[c]); } return a; }, {});
+    switch (params.ReturnValues) {
+      case 'ALL_OLD':
+        if (old) { res.Attributes = clone(old); }
+        break;
+      case 'ALL_NEW':
+        res.Attributes = clone(item);
+        break;
+      case 'UPDATED_OLD':
+        if (old) { res.Attributes = pick(old); }
+        break;
+      case 'UPDATED_NEW':
+        res.Attributes = pick(item);
+        break;
+    }
+    return res;
+  }
+
+  _capacity(res, params, tableNames = [params.TableName]) {
+    if (params.ReturnConsumedCapacity && params.ReturnConsumedCapacity !== 'NONE') {
+      const capacity = tableNames.map(TableName => ({ TableName, CapacityUnits: 1 }));
+      res.ConsumedCapacity = (params.TableName) ? capacity[0] : capacity;
+    }
+    return res;
+  }
+
+  _read(table, params, match, descending) {
+    const { hash, range } = this._keyNames(table, params.IndexName);
+    const tableKey = this._keyNames(table);
+    const order = [hash, range, tableKey.hash, tableKey.range].filter((n, i, a) => n && a.indexOf(n) === i);
+    const tuple = item => order.map(n => item[n]);
+
+    // Indexes are sparse, only the items with the index keys are part of them
+    let items = [...table.items.values()].filter(item => item[hash] !== undefined && (!range || item[range] !== undefined));
+    items = items.filter(match).sort((a, b) => compareTuple(tuple(a), tuple(b)));
+    if (descending) { items.reverse(); }
+
+    if (params.ExclusiveStartKey) {
+      const start = tuple(params.ExclusiveStartKey);
+      const pos = items.findIndex(item => {
+        const c = compareTuple(tuple(item), start);
+        return (descending) ? c < 0 : c > 0;
+      });
+      items = (pos < 0) ? [] : items.slice(pos);
+    }
+
+    const res = {};
+    if (params.Limit && items.length > params.Limit) {
+      items = items.slice(0, params.Limit);
+      res.LastEvaluatedKey = this._key(table, items[items.length - 1], params.IndexName);
+    }
+    res.ScannedCount = items.length;
+
+    if (params.FilterExpression) {
+      const parser = this._parse(params.FilterExpression, params);
+      const filter = parser.condition();
+      parser.done();
+      const evaluator = new Evaluator(params.ExpressionAttributeValues);
+      items = items.filter(item => evaluator.test(filter, item));
+    }
+
+    res.Count = items.length;
+    if (params.Select !== 'COUNT') {
+      res.Items = items.map(item => this._project(this._indexProjection(table, params.IndexName, item), params));
+    }
+    return this._capacity(res, params);
+  }
+
+  _indexProjection(table, indexName, item) {
+    if (!indexName) { return item; }
+    const definition = table.definition;
+    const index = (definition.GlobalSecondaryIndexes || []).concat(definition.LocalSecondaryIndexes || [])
+      .find(i => i.IndexName === indexName);
+    const projection = index.Projection || { ProjectionType: 'ALL' };
+    if (projection.ProjectionType === 'ALL') { return item; }
+    const names = Object.keys(this._key(table, item, indexName)).concat(projection.NonKeyAttributes || []);
+    return names.reduce((a, c) => { if (item[c] !== undefined) { a[c] = item[c]; } return a; }, {});
+  }
+}
+
+module.exports.MemoryClient = MemoryClient;
+module.exports.MemorySet = MemorySet;
@@ -0,0 +1,99 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AccessError } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  Doc: {
+    $id: 'Doc',
+    tableName: 'docs',
+    required: ['ownerId'],
+    indexes: { ownerIndex: { hashKey: 'ownerId' } },
+    relations: { notes: { hasMany: 'Note', foreignKey: 'doc' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      ownerId: { type: 'string', owner: true },
+      tenantId: { type: 'string', tenant: true },
+      title: { type: 'string' }
+    }
+  },
+  Note: {
+    $id: 'Note',
+    tableName: 'notes',
+    indexes: { docIndex: { hashKey: 'doc' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      doc: { $ref: 'Doc', join: { docId: 'id' }, onDelete: 'cascade' },
+      ownerId: { type: 'string', owner: true },
+      tenantId: { type: 'string', tenant: true }
+    }
+  }
+};
+
+const alice = { id: 'alice', tenantId: 't1' };
+const bob = { id: 'bob', tenantId: 't1' };
+const admin = { id: 'root', tenantId: 't1', roles: ['admin'] };
+
+const setup = async () => {
+  const { Doc, Note } = await createModels(definitions, { access: { bypassRoles: ['admin'] } });
+  await Doc.as(alice).create({ id: 'd1', title: 'A' }).save();
+  await Doc.as(bob).create({ id: 'd2', title: 'B' }).save();
+  return { Doc, Note };
+};
+
+test('scopes the models to the principal', async () => {
+  const { Doc } = await setup();
+  const doc = await Doc.get({ id: 'd1' });
+  assert.strictEqual(doc.ownerId, 'alice');
+  assert.strictEqual(doc.tenantId, 't1');
+
+  assert.deepStrictEqual((await Doc.as(alice).scan().exec()).Items.map(d => d.id), ['d1']);
+  assert.strictEqual((await Doc.as(alice).find({ where: { ownerId: 'alice' } })).Count, 1);
+  await assert.rejects(Doc.as(alice).find({ where: { ownerId: 'bob' } }), AccessError);
+  await assert.rejects(Doc.as(bob).get({ id: 'd1' }), AccessError);
+  assert.ok(await Doc.as(admin).get({ id: 'd1' }));
+});
+
+test('rejects writes out of the scope of the principal', async () => {
+  const { Doc } = await setup();
+  const doc = await Doc.get({ id: 'd1' });
+  await assert.rejects(Doc.as(bob).save(doc), AccessError);
+  await assert.rejects(Doc.as(bob).del(doc), AccessError);
+  await assert.rejects(Doc.as(bob).update({ id: 'd1' }, { $set: { title: 'x' } }), AccessError);
+  await assert.rejects(Doc.as(alice).update({ id: 'd1' }, { $set: { ownerId: 'bob' } }), /ownerId can not be modified/);
+  await assert.rejects(Doc.as({ id: 'alice' }).find({ where: {} }), /without tenantId/);
+
+  assert.strictEqual((await Doc.as(alice).update({ id: 'd1' }, { $set: { title: 'A2' } })).title, 'A2');
+});
+
+test('scopes the batches, transactions, populates and cascades', async () => {
+  const { Doc, Note } = await setup();
+  await Note.as(alice).create({ id: 'n1', doc: { id: 'd1' } }).save();
+  await Note.as(bob).create({ id: 'n2', doc: { id: 'd1' } }).save();
+
+  assert.deepStrictEqual((await Doc.as(alice).get({ id: 'd1' }, ['notes'])).notes.map(n => n.id), ['n1']);
+  assert.ok(!(await Note.as(bob).get({ id: 'n2' }, ['doc'])).doc.title);
+  assert.strictEqual((await Note.as(alice).get({ id: 'n1' }, ['doc'])).doc.title, 'A');
+
+  const { models, failed: denied } = await Doc.as(alice).batchGet([{ id: 'd1' }, { id: 'd2' }]);
+  assert.deepStrictEqual(models.map(d => d && d.id), ['d1', null]);
+  assert.deepStrictEqual(denied.map(f => [f.key.id, f.error.constructor]), [['d2', AccessError]]);
+  await assert.rejects(Doc.as(alice).batchSave([{ id: 'd3' }]), AccessError);
+  await assert.rejects(Doc.as(alice).batchDelete([{ id: 'd1' }]), AccessError);
+  const { failed } = await Doc.batchSave([Doc.as(alice).create({ id: 'd3' })]);
+  assert.ok(failed[0].error instanceof AccessError);
+
+  await assert.rejects(Doc.as(bob).transactGet(tx => tx.get(Doc, { id: 'd1' })), AccessError);
+  await assert.rejects(Doc.as(bob).transaction(tx => tx.update(Doc, { id: 'd1' }, { $set: { title: 'x' } })), /Transaction cancelled/);
+  await assert.rejects(Doc.as(bob).transaction(tx => tx.check(Doc, { id: 'd1' }, { title: 'A' })), /Transaction cancelled/);
+  const [doc] = await Doc.as(alice).transactGet(tx => tx.get(Doc, { id: 'd1' }));
+  assert.strictEqual(doc.title, 'A');
+
+  // The note of bob is cascaded with the scope of alice
+  await assert.rejects(Doc.as(alice).del(doc), AccessError);
+  assert.ok(await Note.get({ id: 'n2' }));
+  await Doc.as(admin).del(await Doc.get({ id: 'd1' }));
+  assert.strictEqual(await Note.get({ id: 'n1' }), null);
+});
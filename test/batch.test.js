@@ -0,0 +1,90 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DynormError, ValidationError, ThrottledError, UniqueConstraintError } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  User: {
+    $id: 'User',
+    tableName: 'users',
+    required: ['name'],
+    properties: {
+      id: { type: 'string', hashKey: true },
+      name: { type: 'string' },
+      email: { type: 'string' },
+      role: { type: 'string', default: 'user' }
+    }
+  }
+};
+
+const setup = () => createModels(definitions, { batch: { maxAttempts: 3, baseDelay: 1 } });
+
+test('saves and gets models in batches', async () => {
+  const { User } = await setup();
+  const data = Array.from({ length: 30 }, (_, i) => ({ id: String(i), name: `n${i}` }));
+  const { saved, failed } = await User.batchSave(data.concat({ id: 'bad' }));
+  assert.strictEqual(saved.length, 30);
+  assert.strictEqual(saved[0].role, 'user');
+  assert.deepStrictEqual(failed.map(f => [f.key.id, f.error.constructor]), [['bad', ValidationError]]);
+
+  const { models, failed: unprocessed } = await User.batchGet([{ id: '5' }, { id: 'nope' }, { id: '1' }], { select: ['name'] });
+  assert.deepStrictEqual(models.map(m => m && m.name), ['n5', null, 'n1']);
+  assert.deepStrictEqual(unprocessed, []);
+});
+
+test('retries the unprocessed items and reports the rest', async () => {
+  const { client, User } = await setup();
+  await User.batchSave([{ id: '1', name: 'a' }, { id: '2', name: 'b' }]);
+
+  // The first request of each call stays unprocessed
+  const batchWrite = client.batchWrite.bind(client);
+  client.batchWrite = params => {
+    const [tableName] = Object.keys(params.RequestItems);
+    const requests = params.RequestItems[tableName];
+    const result = batchWrite({ RequestItems: { [tableName]: requests.slice(1) } });
+    return { promise: () => result.promise().then(() => ({ UnprocessedItems: { [tableName]: requests.slice(0, 1) } })) };
+  };
+
+  const { deleted, failed } = await User.batchDelete([{ id: '1' }, { id: '2' }]);
+  assert.deepStrictEqual(deleted.map(k => k.id), ['2']);
+  assert.deepStrictEqual(failed.map(f => [f.key.id, f.error.constructor]), [['1', ThrottledError]]);
+});
+
+test('reports the keys of batchGet unprocessed after the retries', async () => {
+  const { client, User } = await setup();
+  await User.batchSave([{ id: '1', name: 'a' }, { id: '2', name: 'b' }]);
+
+  // The first key of each request stays unprocessed
+  const batchGet = client.batchGet.bind(client);
+  client.batchGet = params => {
+    const [tableName] = Object.keys(params.RequestItems);
+    const { Keys, ...rest } = params.RequestItems[tableName];
+    const result = batchGet({ RequestItems: { [tableName]: Object.assign({ Keys: Keys.slice(1) }, rest) } });
+    return { promise: () => result.promise().then(data => Object.assign(data, { UnprocessedKeys: { [tableName]: Object.assign({ Keys: Keys.slice(0, 1) }, rest) } })) };
+  };
+
+  const { models, failed } = await User.batchGet([{ id: '1' }, { id: '2' }]);
+  assert.deepStrictEqual(models.map(m => m && m.name), [null, 'b']);
+  assert.deepStrictEqual(failed.map(f => [f.key.id, f.error.constructor]), [['1', ThrottledError]]);
+});
+
+test('rejects the unique duplicates of the batch and the version schemas', async () => {
+  const defs = JSON.parse(JSON.stringify(definitions));
+  defs.User.indexes = { emailIndex: { hashKey: 'email', unique: true, guard: false } };
+  const { User } = await createModels(defs);
+  await User.batchSave([{ id: '1', name: 'a', email: 'a@x' }]);
+  const { saved, failed } = await User.batchSave([
+    { id: '2', name: 'b', email: 'b@x' },
+    { id: '3', name: 'c', email: 'b@x' },
+    { id: '4', name: 'd', email: 'a@x' }
+  ]);
+  assert.deepStrictEqual(saved.map(m => m.id), ['2']);
+  assert.deepStrictEqual(failed.map(f => [f.key.id, f.error.constructor]), [['3', UniqueConstraintError], ['4', UniqueConstraintError]]);
+
+  const versioned = JSON.parse(JSON.stringify(definitions));
+  versioned.User.properties.version = { type: 'integer', version: true };
+  const { User: Versioned } = await createModels(versioned);
+  await assert.rejects(Versioned.batchSave([{ id: '1', name: 'a' }]), DynormError);
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const bin = path.join(__dirname, '..', 'bin', 'dynorm.js');
+const models = path.join(__dirname, 'fixtures', 'migrate-models.js');
+const dynorm = (...args) => spawnSync(process.execPath, [bin, ...args], { encoding: 'utf8', timeout: 30000 });
+
+test('migrates the outdated items with the migrate command', () => {
+  const dryRun = dynorm('migrate', models, '--dry-run', '--segments', '2');
+  assert.strictEqual(dryRun.status, 0, dryRun.stderr);
+  const [report] = JSON.parse(dryRun.stdout);
+  assert.deepStrictEqual([report.model, report.dryRun, report.outdated, report.upgraded], ['User', true, 2, 0]);
+
+  const checkpoint = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dynorm-')), 'checkpoint.json');
+  const run = dynorm('migrate', models, '--checkpoint', checkpoint, '--page-size', '1');
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.strictEqual(JSON.parse(run.stdout)[0].upgraded, 2);
+  assert.ok(JSON.parse(fs.readFileSync(checkpoint, 'utf8')).User.segments.every(s => s.done));
+  fs.rmSync(path.dirname(checkpoint), { recursive: true });
+});
+
+test('rejects the unknown commands and options', () => {
+  assert.strictEqual(dynorm('upgrade').status, 1);
+  const result = dynorm('migrate', models, '--force');
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /Option --force not supported/);
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Schema, MemoryClient, dynorm } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  User: {
+    $id: 'User',
+    tableName: 'users',
+    indexes: { emailIndex: { hashKey: 'email', unique: true } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      email: { type: 'string' },
+      name: { type: 'string' }
+    }
+  }
+};
+
+test('isolates the models and the tables of the instances', async () => {
+  const client = new MemoryClient();
+  const dev = await createModels(definitions, { client, tablePrefix: 'dev-' });
+  const prod = await createModels(definitions, { client, tablePrefix: 'prod-', tableSuffix: '-v2' });
+  assert.notStrictEqual(dev.User, prod.User);
+  assert.strictEqual(dev.orm.model('User'), dev.User);
+  assert.strictEqual(prod.orm.model('User'), prod.User);
+  assert.strictEqual(dynorm.model('User'), undefined);
+  assert.deepStrictEqual([dev.User.schema.tableName, prod.User.schema.tableName], ['dev-users', 'prod-users-v2']);
+
+  await new dev.User({ id: '1', email: 'a@x', name: 'Ann' }).save();
+  await dev.orm.transaction(tx => tx.save(new dev.User({ id: '2', email: 'b@x' })));
+  await prod.orm.transaction(tx => tx.save(new prod.User({ id: '1', email: 'a@x', name: 'Prod' })));
+  assert.strictEqual((await dev.User.get({ id: '1' })).name, 'Ann');
+  assert.strictEqual((await prod.User.get({ id: '1' })).name, 'Prod');
+  assert.strictEqual(await prod.User.get({ id: '2' }), null);
+  assert.deepStrictEqual((await dev.User.batchGet([{ id: '1' }, { id: '2' }])).models.map(u => u.email), ['a@x', 'b@x']);
+  assert.strictEqual((await dev.User.find({ where: { email: 'b@x' } })).Count, 1);
+
+  // The tables of the names without prefix are not created
+  const tables = (await client.service.listTables().promise()).TableNames;
+  assert.deepStrictEqual(tables, ['dev-users', 'prod-users-v2']);
+  assert.throws(() => dev.orm.model('Other', new Schema('User', prod.orm)), /belongs to another Dynorm instance/);
+});
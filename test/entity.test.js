@@ -0,0 +1,108 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DynormError, ValidationError } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  User: {
+    $id: 'User',
+    tableName: 'app',
+    entity: 'User',
+    properties: {
+      pk: { type: 'string', hashKey: true, template: 'USER#{id}' },
+      sk: { type: 'string', rangeKey: true, template: 'PROFILE' },
+      id: { type: 'string' },
+      name: { type: 'string' }
+    }
+  },
+  Order: {
+    $id: 'Order',
+    tableName: 'app',
+    entity: 'Order',
+    indexes: { gsi1: { hashKey: 'status', rangeKey: 'createdAt' } },
+    properties: {
+      pk: { type: 'string', hashKey: true, template: 'USER#{userId}' },
+      sk: { type: 'string', rangeKey: true, template: 'ORDER#{createdAt}#{orderId}' },
+      userId: { type: 'string' },
+      orderId: { type: 'string' },
+      status: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      total: { type: 'number' }
+    }
+  },
+  Line: {
+    $id: 'Line',
+    tableName: 'app',
+    entity: 'Line',
+    properties: {
+      pk: { type: 'string', hashKey: true, template: 'USER#{userId}' },
+      sk: { type: 'string', rangeKey: true, template: 'LINE#{code}#{n}' },
+      userId: { type: 'string' },
+      code: { type: 'string' },
+      n: { type: 'integer', padLength: 4 }
+    }
+  }
+};
+
+const setup = (defs = definitions) => createModels(defs, { sync: false });
+
+test('stores the entities of a single table with key templates', async () => {
+  const { orm, User, Order } = await setup();
+  await orm.sync({ apply: true });
+  await new User({ id: 'u1', name: 'Ann' }).save();
+  const order = new Order({ userId: 'u1', orderId: 'o1', status: 'open', createdAt: new Date('2024-01-01'), total: 5 });
+  await order.save();
+  assert.strictEqual(order.sk, 'ORDER#2024-01-01T00:00:00.000Z#o1');
+
+  const result = await User.query('pk').eq('USER#u1').exec();
+  assert.deepStrictEqual(result.Items.map(m => m.constructor.name).sort(), ['Order', 'User']);
+  assert.strictEqual((await Order.find({ where: { userId: 'u1' } })).Items[0].total, 5);
+});
+
+test('rejects updates of the variables of key templates', async () => {
+  const { orm, Order } = await setup();
+  await orm.sync({ apply: true });
+  const key = { userId: 'u1', orderId: 'o1', createdAt: new Date('2024-01-01') };
+  await new Order(Object.assign({ status: 'open', total: 5 }, key)).save();
+
+  await assert.rejects(Order.update(key, { $set: { orderId: 'o2' } }), /orderId is part of the key sk/);
+  await assert.rejects(Order.update(key, { $remove: ['createdAt'] }), DynormError);
+  assert.strictEqual((await Order.update(key, { $inc: { total: 2 } })).total, 7);
+});
+
+test('syncs the indexes of all the models of a table', async () => {
+  const { orm, Order } = await setup();
+  const [report] = await orm.sync({ apply: true });
+  assert.strictEqual(report.tableName, 'app');
+  assert.deepStrictEqual(report.actions[0].params.GlobalSecondaryIndexes.map(i => i.IndexName), ['gsi1']);
+
+  await new Order({ userId: 'u1', orderId: 'o1', status: 'open', createdAt: new Date('2024-01-01') }).save();
+  assert.strictEqual((await Order.find({ where: { status: 'open' } })).Count, 1);
+  const [again] = await orm.sync();
+  assert.deepStrictEqual(again.actions, []);
+  assert.deepStrictEqual(again.warnings, []);
+});
+
+test('rejects models of a table with different keys', async () => {
+  const defs = JSON.parse(JSON.stringify(definitions));
+  delete defs.Order.properties.sk;
+  const { orm } = await setup(defs);
+  await assert.rejects(orm.sync(), DynormError);
+});
+
+test('rejects delimiters in the key values and pads the numbers', async () => {
+  const { orm, Line } = await setup();
+  await orm.sync({ apply: true });
+  for (const n of [10, 9, 100]) {
+    await new Line({ userId: 'u#1', code: 'a', n }).save();
+  }
+  const lines = (await Line.find({ where: { userId: 'u#1' } })).Items;
+  assert.deepStrictEqual(lines.map(l => [l.sk, l.n]), [['LINE#a#0009', 9], ['LINE#a#0010', 10], ['LINE#a#0100', 100]]);
+  assert.strictEqual(lines[0].userId, 'u#1');
+
+  await assert.rejects(new Line({ userId: 'u1', code: 'a#b', n: 1 }).save(), /code of the key sk can not contain the delimiter #/);
+  await assert.rejects(new Line({ userId: 'u1', code: 'a', n: 12345 }).save(), ValidationError);
+  await assert.rejects(new Line({ userId: 'u1', code: 'a', n: -1 }).save(), ValidationError);
+});
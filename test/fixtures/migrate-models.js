@@ -0,0 +1,31 @@
+'use strict';
+
+const { createModels } = require('../helpers');
+
+const definitions = {
+  User: {
+    $id: 'User',
+    tableName: 'users',
+    schemaVersion: 2,
+    required: ['fullName'],
+    properties: {
+      id: { type: 'string', hashKey: true },
+      fullName: { type: 'string' }
+    }
+  }
+};
+
+// The Dynorm instance of the migrate command, with two outdated items
+module.exports = (async () => {
+  const upgrade = item => {
+    item.fullName = `${item.first} ${item.last}`;
+    delete item.first;
+    delete item.last;
+    return item;
+  };
+  const { client, orm } = await createModels(definitions, { configure: schema => schema.upgrade(1, upgrade) });
+  for (const id of ['1', '2']) {
+    await client.put({ TableName: 'users', Item: { id, first: 'Ann', last: id } }).promise();
+  }
+  return orm;
+})();
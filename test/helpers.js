@@ -0,0 +1,32 @@
+'use strict';
+
+const { Dynorm, Schema, MemoryClient } = require('..');
+
+/**
+ * Dynorm instance on a MemoryClient with a model of each definition, the
+ * definitions are copied so the tests do not share them
+ *
+ * const { orm, client, User } = await createModels(definitions, { access: { bypassRoles: ['admin'] } })
+ *
+ * @param {*} definitions
+ * @param {*} opts { sync, types, configure(schema, name) } and the options of Dynorm, sync is true by default
+ */
+async function createModels(definitions, opts = {}) {
+  const { sync = true, types = {}, configure, ...options } = opts;
+  const client = options.client || new MemoryClient();
+  const orm = new Dynorm(Object.assign({ logLevel: 'silent' }, options, { client, schema: JSON.parse(JSON.stringify({ definitions })) }));
+  for (const name in types) {
+    orm.type(name, types[name]);
+  }
+
+  const models = {};
+  for (const name of Object.keys(definitions)) {
+    const schema = new Schema(name, orm);
+    if (configure) { configure(schema, name); }
+    models[name] = orm.model(name, schema);
+  }
+  if (sync) { await orm.sync({ apply: true }); }
+  return Object.assign({ orm, client }, models);
+}
+
+module.exports = { createModels };
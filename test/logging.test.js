@@ -0,0 +1,71 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  Patient: {
+    $id: 'Patient',
+    tableName: 'patients',
+    indexes: { nameIndex: { hashKey: 'name' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      name: { type: 'string' },
+      ssn: { type: 'string', sensitive: true },
+      profile: { type: 'object', properties: { phone: { type: 'string', sensitive: true }, city: { type: 'string' } } }
+    }
+  }
+};
+
+const setup = async () => {
+  const logs = [];
+  const logger = { debug: (msg, data) => logs.push({ msg, data }) };
+  const models = await createModels(definitions, { logger, logLevel: 'debug' });
+  logs.length = 0;
+  return Object.assign({ logs }, models);
+};
+
+test('redacts the sensitive attributes in the debug log', async () => {
+  const { logs, Patient } = await setup();
+  await new Patient({ id: '1', name: 'Ann', ssn: '123', profile: { phone: '555', city: 'Rome' } }).save();
+  const put = logs.find(l => l.msg.startsWith('[dynorm] put')).data;
+  assert.strictEqual(put.Item.ssn, '[REDACTED]');
+  assert.deepStrictEqual(put.Item.profile, { phone: '[REDACTED]', city: 'Rome' });
+  assert.strictEqual(put.Item.name, 'Ann');
+
+  logs.length = 0;
+  await Patient.update({ id: '1' }, { $set: { ssn: '456', 'profile.phone': '777', name: 'Anna' } });
+  const update = logs.find(l => l.msg.startsWith('[dynorm] update')).data;
+  const values = Object.values(update.ExpressionAttributeValues);
+  assert.strictEqual(values.filter(v => v === '[REDACTED]').length, 2);
+  assert.ok(values.includes('Anna'));
+  assert.ok(!values.includes('456') && !values.includes('777'));
+
+  logs.length = 0;
+  await Patient.find({ where: { name: 'Ann', ssn: '456' } });
+  await Patient.scan().filter('profile.phone').eq('777').exec();
+  const [query, scan] = logs.map(l => l.data);
+  assert.deepStrictEqual(Object.values(query.ExpressionAttributeValues).sort(), ['Ann', '[REDACTED]']);
+  assert.deepStrictEqual(Object.values(scan.ExpressionAttributeValues), ['[REDACTED]']);
+});
+
+test('emits the operation event with the duration, count, capacity and error', async () => {
+  const { orm, client, Patient } = await setup();
+  const events = [];
+  orm.on('operation', e => events.push(e));
+  await new Patient({ id: '1', name: 'Ann' }).save();
+  await new Patient({ id: '2', name: 'Ann' }).save();
+  await Patient.find({ where: { name: 'Ann' } });
+
+  const query = events.find(e => e.operation === 'query');
+  assert.deepStrictEqual([query.model, query.tables, query.count, query.retries, query.error], ['Patient', ['patients'], 2, 0, undefined]);
+  assert.ok(query.duration >= 0);
+  assert.strictEqual(query.consumedCapacity.TableName, 'patients');
+
+  client.get = () => ({ promise: () => Promise.reject(Object.assign(new Error('throttled'), { code: 'ProvisionedThroughputExceededException' })) });
+  await assert.rejects(Patient.get({ id: '1' }));
+  const failed = events[events.length - 1];
+  assert.deepStrictEqual([failed.operation, failed.count, failed.error.message], ['get', 0, 'throttled']);
+  assert.ok(failed.duration >= 0);
+});
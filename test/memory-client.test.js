@@ -0,0 +1,88 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MemoryClient } = require('../memory-client');
+
+const table = async () => {
+  const client = new MemoryClient();
+  await client.createTable({
+    TableName: 'items',
+    KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }, { AttributeName: 'sk', KeyType: 'RANGE' }],
+    AttributeDefinitions: [{ AttributeName: 'pk', AttributeType: 'S' }, { AttributeName: 'sk', AttributeType: 'N' }],
+    BillingMode: 'PAY_PER_REQUEST'
+  }).promise();
+  return client;
+};
+
+test('put, get, update and delete items', async () => {
+  const client = await table();
+  await client.put({ TableName: 'items', Item: { pk: 'a', sk: 1, name: 'one' } }).promise();
+  const { Attributes } = await client.update({
+    TableName: 'items',
+    Key: { pk: 'a', sk: 1 },
+    UpdateExpression: 'SET #name = :name ADD #count :one',
+    ExpressionAttributeNames: { '#name': 'name', '#count': 'count' },
+    ExpressionAttributeValues: { ':name': 'uno', ':one': 1 },
+    ReturnValues: 'ALL_NEW'
+  }).promise();
+  assert.deepStrictEqual(Attributes, { pk: 'a', sk: 1, name: 'uno', count: 1 });
+
+  await client.delete({ TableName: 'items', Key: { pk: 'a', sk: 1 } }).promise();
+  const { Item } = await client.get({ TableName: 'items', Key: { pk: 'a', sk: 1 } }).promise();
+  assert.strictEqual(Item, undefined);
+});
+
+test('rejects items whose key does not match the key schema', async () => {
+  const client = await table();
+  await assert.rejects(client.put({ TableName: 'items', Item: { pk: 'a', sk: 'x' } }).promise(), { code: 'ValidationException' });
+});
+
+test('checks condition expressions', async () => {
+  const client = await table();
+  const put = { TableName: 'items', Item: { pk: 'a', sk: 1 }, ConditionExpression: 'attribute_not_exists(pk)' };
+  await client.put(put).promise();
+  await assert.rejects(client.put(put).promise(), { code: 'ConditionalCheckFailedException' });
+
+  // Whitespace around the expression is valid
+  await client.delete({ TableName: 'items', Key: { pk: 'a', sk: 1 }, ConditionExpression: ' attribute_exists(pk) ' }).promise();
+  await assert.rejects(client.put(Object.assign({}, put, { ConditionExpression: 'attribute_exists(pk) AND' })).promise(), { code: 'ValidationException' });
+});
+
+test('queries pages in key order', async () => {
+  const client = await table();
+  for (let sk = 5; sk > 0; sk--) {
+    await client.put({ TableName: 'items', Item: { pk: 'a', sk } }).promise();
+  }
+  const params = {
+    TableName: 'items',
+    KeyConditionExpression: 'pk = :pk AND sk > :sk',
+    ExpressionAttributeValues: { ':pk': 'a', ':sk': 1 },
+    Limit: 2
+  };
+  const first = await client.query(params).promise();
+  assert.deepStrictEqual(first.Items.map(i => i.sk), [2, 3]);
+  assert.deepStrictEqual(first.LastEvaluatedKey, { pk: 'a', sk: 3 });
+
+  const next = await client.query(Object.assign({}, params, { ExclusiveStartKey: first.LastEvaluatedKey })).promise();
+  assert.deepStrictEqual(next.Items.map(i => i.sk), [4, 5]);
+
+  const desc = await client.query(Object.assign({}, params, { ScanIndexForward: false, Limit: undefined })).promise();
+  assert.deepStrictEqual(desc.Items.map(i => i.sk), [5, 4, 3, 2]);
+});
+
+test('cancels a transaction without writing any item', async () => {
+  const client = await table();
+  await client.put({ TableName: 'items', Item: { pk: 'a', sk: 1 } }).promise();
+  const err = await client.transactWrite({
+    TransactItems: [
+      { Put: { TableName: 'items', Item: { pk: 'b', sk: 1 } } },
+      { Put: { TableName: 'items', Item: { pk: 'a', sk: 1 }, ConditionExpression: 'attribute_not_exists(pk)' } }
+    ]
+  }).promise().catch(err => err);
+  assert.strictEqual(err.code, 'TransactionCanceledException');
+  assert.deepStrictEqual(err.CancellationReasons.map(r => r.Code), ['None', 'ConditionalCheckFailed']);
+
+  const { Item } = await client.get({ TableName: 'items', Key: { pk: 'b', sk: 1 } }).promise();
+  assert.strictEqual(Item, undefined);
+});
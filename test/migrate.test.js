@@ -0,0 +1,86 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  User: {
+    $id: 'User',
+    tableName: 'users',
+    schemaVersion: 2,
+    required: ['fullName'],
+    properties: {
+      id: { type: 'string', hashKey: true },
+      fullName: { type: 'string' },
+      logins: { type: 'integer' },
+      version: { type: 'integer', version: true }
+    }
+  }
+};
+
+const setup = async () => {
+  const upgrade = item => {
+    item.fullName = `${item.first} ${item.last}`;
+    delete item.first;
+    delete item.last;
+    return item;
+  };
+  const { client, orm, User } = await createModels(definitions, { configure: schema => schema.upgrade(1, upgrade) });
+  for (const id of ['1', '2']) {
+    await client.put({ TableName: 'users', Item: { id, first: 'Ann', last: id, logins: 0, version: 1 } }).promise();
+  }
+  return { client, orm, User };
+};
+
+test('upgrades the outdated items', async () => {
+  const { client, User } = await setup();
+  const report = await User.migrate({ segments: 2 });
+  assert.strictEqual(report.outdated, 2);
+  assert.strictEqual(report.upgraded, 2);
+
+  const item = (await client.get({ TableName: 'users', Key: { id: '1' } }).promise()).Item;
+  assert.deepStrictEqual(item, { id: '1', fullName: 'Ann 1', logins: 0, version: 1, _schemaVersion: 2 });
+  assert.strictEqual((await User.migrate()).outdated, 0);
+});
+
+test('does not overwrite the items modified since the scan', async () => {
+  const { client, User } = await setup();
+  // An update of the item between the scan and the put of the migration
+  const put = client.put.bind(client);
+  client.put = params => {
+    if (params.Item.id === '1') {
+      client.put = put;
+      return { promise: () => User.update({ id: '1' }, { $inc: { logins: 1 } }).then(() => put(params).promise()) };
+    }
+    return put(params);
+  };
+
+  const report = await User.migrate({ segments: 1 });
+  assert.strictEqual(report.upgraded, 1);
+  assert.strictEqual(report.conflicts, 1);
+  const item = (await client.get({ TableName: 'users', Key: { id: '1' } }).promise()).Item;
+  assert.strictEqual(item.logins, 1);
+  assert.strictEqual(item.version, 2);
+});
+
+test('saves the upgrade of a loaded item without modifications', async () => {
+  const { client, User } = await setup();
+  const user = await User.get({ id: '1' });
+  assert.strictEqual(user.isModified(), false);
+  await user.save();
+  const item = (await client.get({ TableName: 'users', Key: { id: '1' } }).promise()).Item;
+  assert.deepStrictEqual(item, { id: '1', fullName: 'Ann 1', logins: 0, version: 2, _schemaVersion: 2 });
+});
+
+test('does not upgrade the partial items of a projection', async () => {
+  const { client, User } = await setup();
+  const user = await User.get({ id: '1' }, [], { select: ['logins'] });
+  assert.strictEqual(user.fullName, undefined);
+  user.logins = 5;
+  await user.save();
+
+  const item = (await client.get({ TableName: 'users', Key: { id: '1' } }).promise()).Item;
+  assert.deepStrictEqual(item, { id: '1', first: 'Ann', last: '1', logins: 5, version: 2 });
+  assert.strictEqual((await User.get({ id: '1' })).fullName, 'Ann 1');
+});
@@ -0,0 +1,240 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AlreadyExistsError, VersionConflictError, NotFoundError, TransactionError } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  User: {
+    $id: 'User',
+    tableName: 'users',
+    timestamps: true,
+    required: ['name'],
+    indexes: { statusIndex: { hashKey: 'status', rangeKey: 'name' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      name: { type: 'string' },
+      status: { type: 'string', default: 'active' },
+      logins: { type: 'integer' },
+      version: { type: 'integer', version: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const setup = () => createModels(definitions);
+
+test('creates, reads, updates and deletes models', async () => {
+  const { User } = await setup();
+  const user = new User({ id: '1', name: 'Ann' });
+  await user.save();
+  assert.strictEqual(user.version, 1);
+
+  const loaded = await User.get({ id: '1' });
+  assert.strictEqual(loaded.name, 'Ann');
+  assert.strictEqual(loaded.status, 'active');
+  assert.ok(loaded.createdAt instanceof Date);
+
+  loaded.name = 'Anna';
+  await loaded.save();
+  assert.strictEqual((await User.get({ id: '1' })).name, 'Anna');
+
+  const updated = await User.update({ id: '1' }, { $inc: { logins: 2 } });
+  assert.strictEqual(updated.logins, 2);
+
+  await loaded.del();
+  assert.strictEqual(await User.get({ id: '1' }), null);
+});
+
+test('maps failed conditions to typed errors', async () => {
+  const { User } = await setup();
+  await new User({ id: '1', name: 'Ann' }).save();
+  await assert.rejects(new User({ id: '1', name: 'Bob' }).save(), AlreadyExistsError);
+
+  const a = await User.get({ id: '1' });
+  const b = await User.get({ id: '1' });
+  a.name = 'A';
+  await a.save();
+  b.name = 'B';
+  await assert.rejects(b.save(), VersionConflictError);
+
+  await a.del();
+  a.name = 'C';
+  await assert.rejects(a.save(), NotFoundError);
+});
+
+test('pages find() results with cursors', async () => {
+  const { User } = await setup();
+  for (const name of ['a', 'b', 'c', 'd', 'e']) {
+    await new User({ id: name, name }).save();
+  }
+
+  const names = [];
+  let after;
+  do {
+    const result = await User.query('status').eq('active').limit(2).after(after).exec();
+    names.push(...result.Items.map(u => u.name));
+    assert.strictEqual(result.LastEvaluatedKey, undefined);
+    after = result.cursor;
+  } while (after && names.length < 10);
+  assert.deepStrictEqual(names, ['a', 'b', 'c', 'd', 'e']);
+
+  // A where object plans the same query and keeps the cursor
+  names.length = 0;
+  do {
+    const result = await User.find({ where: { status: 'active' }, limit: 2 }, [], { after });
+    names.push(...result.Items.map(u => u.name));
+    assert.strictEqual(result.LastEvaluatedKey, undefined);
+    after = result.cursor;
+  } while (after && names.length < 10);
+  assert.deepStrictEqual(names, ['a', 'b', 'c', 'd', 'e']);
+
+  const pages = [];
+  for await (const page of User.query('status').eq('active').limit(3).pages()) {
+    pages.push(page.Items.length);
+  }
+  assert.deepStrictEqual(pages, [3]);
+});
+
+test('writes transactions atomically', async () => {
+  const { orm, User } = await setup();
+  await new User({ id: '1', name: 'Ann' }).save();
+
+  const user = await User.get({ id: '1' });
+  await assert.rejects(orm.transaction(tx => {
+    tx.save(new User({ id: '2', name: 'Bob' }));
+    tx.save(new User({ id: '1', name: 'Dup' }));
+  }), TransactionError);
+  assert.strictEqual(await User.get({ id: '2' }), null);
+
+  user.name = 'Anna';
+  await orm.transaction(tx => {
+    tx.save(user);
+    tx.save(new User({ id: '2', name: 'Bob' }));
+  });
+  const [ann, bob] = await orm.transactGet(tx => {
+    tx.get(User, { id: '1' });
+    tx.get(User, { id: '2' });
+  });
+  assert.strictEqual(ann.name, 'Anna');
+  assert.strictEqual(bob.name, 'Bob');
+});
+
+test('maps the cancellation reasons to the models and operations', async () => {
+  const { orm, User } = await setup();
+  await new User({ id: '1', name: 'Ann', logins: 1 }).save();
+  await new User({ id: '2', name: 'Bob' }).save();
+
+  const err = await orm.transaction(tx => {
+    tx.update(User, { id: '1' }, { $inc: { logins: 1 } });
+    tx.check(User, { id: '2' }, { name: 'Bo' });
+  }).catch(err => err);
+  assert.ok(err instanceof TransactionError);
+  assert.strictEqual(err.message, 'Transaction cancelled: User check ConditionalCheckFailed');
+  assert.deepStrictEqual(err.reasons.map(r => [r.model, r.operation, r.key, r.code]), [['User', 'check', { id: '2' }, 'ConditionalCheckFailed']]);
+  assert.strictEqual((await User.get({ id: '1' })).logins, 1);
+
+  const carol = new User({ id: '3', name: 'Carol' });
+  await carol.save();
+  await orm.transaction(tx => {
+    tx.update(User, { id: '1' }, { $inc: { logins: 1 } });
+    tx.check(User, { id: '2' }, { name: 'Bob' });
+    tx.del(carol);
+  });
+  assert.strictEqual((await User.get({ id: '1' })).logins, 2);
+  assert.strictEqual(await User.get({ id: '3' }), null);
+});
+
+test('tracks the modified paths and updates only them', async () => {
+  const { client, User } = await setup();
+  await client.put({ TableName: 'users', Item: { id: '2', name: 'Bob', logins: 3, version: 1 } }).promise();
+
+  // The default of the property missing from the item is a modification, unless not selected
+  const partial = await User.get({ id: '2' }, [], { select: ['name'] });
+  assert.deepStrictEqual(partial.modifiedPaths(), []);
+  const user = await User.get({ id: '2' });
+  assert.strictEqual(user.status, 'active');
+  assert.deepStrictEqual(user.modifiedPaths(), ['status']);
+
+  user.name = 'Bo';
+  user.logins = undefined;
+  assert.deepStrictEqual(user.modifiedPaths(), ['name', 'status', 'logins']);
+  assert.ok(user.isModified('name'));
+  assert.ok(!user.isModified('id'));
+  user.reset();
+  assert.strictEqual(user.name, 'Bob');
+  assert.strictEqual(user.logins, 3);
+  assert.deepStrictEqual(user.modifiedPaths(), []);
+
+  user.name = 'Bo';
+  user.status = 'new';
+  user.logins = undefined;
+  const params = await user.saveParams();
+  assert.match(params.UpdateExpression, /^SET .* REMOVE #\w+$/);
+  assert.deepStrictEqual([...new Set(Object.values(params.ExpressionAttributeNames))].sort(), ['id', 'logins', 'name', 'status', 'updatedAt', 'version']);
+  await user.save();
+  assert.ok(!user.isModified());
+  const item = (await client.get({ TableName: 'users', Key: { id: '2' } }).promise()).Item;
+  assert.deepStrictEqual([item.name, item.status, item.logins, item.version], ['Bo', 'new', undefined, 2]);
+});
+
+test('adds the methods, statics and virtuals of the schema', async () => {
+  const configure = schema => {
+    schema.methods.greet = function () { return `Hi ${this.name}`; };
+    schema.statics.findActive = function () { return this.find({ where: { status: 'active' } }); };
+    schema.virtuals.initial = function () { return this.name[0]; };
+    schema.virtuals.upperName = { get() { return this.name.toUpperCase(); }, set(v) { this.name = v.toLowerCase(); } };
+  };
+  const { User } = await createModels(definitions, { configure });
+  const user = new User({ id: '1', name: 'Ann' });
+  assert.strictEqual(user.greet(), 'Hi Ann');
+  assert.strictEqual(user.initial, 'A');
+  user.upperName = 'ANNA';
+  assert.strictEqual(user.name, 'anna');
+  await user.save();
+  assert.deepStrictEqual((await User.findActive()).Items.map(u => u.greet()), ['Hi anna']);
+
+  assert.strictEqual(JSON.parse(JSON.stringify(user)).initial, undefined);
+  assert.strictEqual(user.toJSON({ virtuals: true }).upperName, 'ANNA');
+  const defs = JSON.parse(JSON.stringify(definitions));
+  defs.User.toJSON = { virtuals: true };
+  const { User: VirtualUser } = await createModels(defs, { configure, sync: false });
+  assert.strictEqual(JSON.parse(JSON.stringify(new VirtualUser({ id: '2', name: 'Bob' }))).initial, 'B');
+
+  await assert.rejects(createModels(definitions, { configure: schema => { schema.methods.save = () => {}; } }), /Method save is reserved/);
+  await assert.rejects(createModels(definitions, { configure: schema => { schema.virtuals.name = () => 'x'; } }), /Virtual name is reserved/);
+});
+
+test('runs the hooks in order around the operations', async () => {
+  const calls = [];
+  const configure = schema => {
+    schema.pre('validate', model => { model.name = model.name.trim(); });
+    for (const op of ['validate', 'save', 'del', 'update', 'get', 'find']) {
+      schema.pre(op, async () => { await new Promise(resolve => setImmediate(resolve)); calls.push(`pre ${op}`); });
+      schema.post(op, () => { calls.push(`post ${op}`); });
+    }
+    // The hooks can change the params about to be sent
+    schema.pre('save', (model, params) => { if (params.Item) { params.Item.audit = 'hook'; } });
+    schema.pre('del', model => { if (model.status === 'locked') { throw new Error('Locked'); } });
+  };
+  const { client, User } = await createModels(definitions, { configure });
+
+  const user = new User({ id: '1', name: ' Ann ' });
+  await user.save();
+  assert.deepStrictEqual(calls.splice(0), ['pre validate', 'post validate', 'pre save', 'post save']);
+  const item = (await client.get({ TableName: 'users', Key: { id: '1' } }).promise()).Item;
+  assert.deepStrictEqual([item.name, item.audit], ['Ann', 'hook']);
+
+  await User.get({ id: '1' });
+  await User.find({ where: { status: 'active' } });
+  await User.update({ id: '1' }, { $set: { status: 'locked' } });
+  assert.deepStrictEqual(calls.splice(0), ['pre get', 'post get', 'pre find', 'post find', 'pre update', 'post update']);
+
+  const locked = await User.get({ id: '1' });
+  calls.length = 0;
+  await assert.rejects(locked.del(), /Locked/);
+  assert.deepStrictEqual(calls, ['pre del']);
+  assert.ok(await User.get({ id: '1' }));
+});
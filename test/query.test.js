@@ -0,0 +1,64 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DynormError } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  Post: {
+    $id: 'Post',
+    tableName: 'posts',
+    indexes: { authorIndex: { hashKey: 'author', rangeKey: 'createdAt' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      author: { type: 'string' },
+      title: { type: 'string' },
+      likes: { type: 'integer' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const setup = async () => {
+  const { Post } = await createModels(definitions);
+  for (let i = 1; i <= 4; i++) {
+    await new Post({ id: String(i), author: 'ann', title: `t${i}`, likes: i, createdAt: new Date(Date.UTC(2020, 0, i)) }).save();
+  }
+  return { Post };
+};
+
+test('queries an index with key and filter conditions', async () => {
+  const { Post } = await setup();
+  const { Items } = await Post.query('author').eq('ann')
+    .where('createdAt').between(new Date(Date.UTC(2020, 0, 2)), new Date(Date.UTC(2020, 0, 4)))
+    .filter('likes').gt(2)
+    .descending()
+    .exec();
+  assert.deepStrictEqual(Items.map(p => p.id), ['4', '3']);
+});
+
+test('rejects the queries without key or index', async () => {
+  const { Post } = await setup();
+  await assert.rejects(Post.query('title').eq('t1').exec(), DynormError);
+});
+
+test('rejects the attributes without operator', async () => {
+  const { Post } = await setup();
+  await assert.rejects(Post.scan().filter('likes').exec(), /Attribute likes without operator/);
+  assert.throws(() => Post.query('author').eq('ann').where('createdAt').explain(), /Attribute createdAt without operator/);
+  assert.throws(() => Post.scan().or(c => c.filter('likes').eq(1).filter('title')), /Attribute title without operator/);
+  await assert.rejects(Post.update({ id: '1' }, { $set: { title: 'x' } }, { condition: c => c.filter('likes') }), DynormError);
+  assert.strictEqual((await Post.get({ id: '1' })).title, 't1');
+});
+
+test('explains the params that find() sends', async () => {
+  const { Post } = await setup();
+  const plan = await Post.find({ where: { author: 'ann', likes: 2 }, explain: true }, [], { select: ['title'] });
+  assert.strictEqual(plan.operation, 'query');
+  assert.strictEqual(plan.index, 'authorIndex');
+  assert.strictEqual(plan.params.TableName, 'posts');
+  assert.strictEqual(plan.params.IndexName, 'authorIndex');
+  assert.ok(plan.params.FilterExpression);
+  assert.ok(plan.params.ProjectionExpression);
+});
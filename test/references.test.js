@@ -0,0 +1,75 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RelationError } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  Customer: {
+    $id: 'Customer',
+    tableName: 'customers',
+    properties: { id: { type: 'string', hashKey: true } }
+  },
+  Order: {
+    $id: 'Order',
+    tableName: 'orders',
+    indexes: { customerIndex: { hashKey: 'customer' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      customer: { $ref: 'Customer', join: { customerId: 'id' }, onDelete: 'cascade' }
+    }
+  },
+  Note: {
+    $id: 'Note',
+    tableName: 'notes',
+    indexes: { orderIndex: { hashKey: 'order' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      order: { $ref: 'Order', join: { orderId: 'id' }, onDelete: 'setNull' }
+    }
+  },
+  Invoice: {
+    $id: 'Invoice',
+    tableName: 'invoices',
+    indexes: { orderIndex: { hashKey: 'order' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      order: { $ref: 'Order', join: { orderId: 'id' }, onDelete: 'restrict' }
+    }
+  }
+};
+
+const setup = async () => {
+  const models = await createModels(definitions);
+  const { Customer, Order, Note, Invoice } = models;
+  await new Customer({ id: 'c1' }).save();
+  await new Order({ id: 'o1', customer: { id: 'c1' } }).save();
+  await new Order({ id: 'o2', customer: { id: 'c1' } }).save();
+  await new Note({ id: 'n1', order: { id: 'o1' } }).save();
+  await new Invoice({ id: 'i1', order: { id: 'o2' } }).save();
+  return models;
+};
+
+test('plans the referential actions of a delete', async () => {
+  const { Customer } = await setup();
+  const customer = await Customer.get({ id: 'c1' });
+  const plan = await customer.del({ dryRun: true });
+  assert.deepStrictEqual(plan.restrict, [{ model: 'Invoice', key: { id: 'i1' }, field: 'order' }]);
+  assert.deepStrictEqual(plan.cascade.map(c => c.key.id), ['o1', 'o2']);
+  assert.deepStrictEqual(plan.setNull, [{ model: 'Note', key: { id: 'n1' }, field: 'order' }]);
+});
+
+test('restricts, cascades and sets null on delete', async () => {
+  const { Customer, Order, Note, Invoice } = await setup();
+  const customer = await Customer.get({ id: 'c1' });
+  await assert.rejects(customer.del(), RelationError);
+  assert.ok(await Order.get({ id: 'o1' }));
+
+  await (await Invoice.get({ id: 'i1' })).del();
+  await customer.del();
+  assert.strictEqual(await Customer.get({ id: 'c1' }), null);
+  assert.strictEqual(await Order.get({ id: 'o1' }), null);
+  assert.strictEqual(await Order.get({ id: 'o2' }), null);
+  assert.deepStrictEqual((await Note.get({ id: 'n1' })).toJSON(), { id: 'n1' });
+});
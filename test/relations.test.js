@@ -0,0 +1,126 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  Customer: {
+    $id: 'Customer',
+    tableName: 'customers',
+    relations: { orders: { hasMany: 'Order', foreignKey: 'customer', select: ['total'], where: { total: { $gt: 1 } } } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      name: { type: 'string' }
+    }
+  },
+  Order: {
+    $id: 'Order',
+    tableName: 'orders',
+    indexes: { customerIndex: { hashKey: 'customer' } },
+    relations: { items: { hasMany: 'Item', foreignKey: 'orderId' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      customer: { $ref: 'Customer', join: { customerId: 'id' } },
+      total: { type: 'number' }
+    }
+  },
+  Product: {
+    $id: 'Product',
+    tableName: 'products',
+    properties: {
+      id: { type: 'string', hashKey: true },
+      title: { type: 'string' }
+    }
+  },
+  Item: {
+    $id: 'Item',
+    tableName: 'items',
+    properties: {
+      orderId: { type: 'string', hashKey: true },
+      n: { type: 'number', rangeKey: true },
+      product: { $ref: 'Product', join: { productId: 'id' } }
+    }
+  }
+};
+
+const setup = async () => {
+  const models = await createModels(definitions);
+  const { Customer, Order, Product, Item } = models;
+  await new Customer({ id: 'c1', name: 'Ann' }).save();
+  await new Product({ id: 'p1', title: 'Pen' }).save();
+  await new Order({ id: 'o1', customer: { id: 'c1' }, total: 5 }).save();
+  await new Order({ id: 'o2', customer: { id: 'c1' }, total: 1 }).save();
+  await new Item({ orderId: 'o1', n: 1, product: { id: 'p1' } }).save();
+  await new Item({ orderId: 'o1', n: 2, product: { id: 'p1' } }).save();
+  return models;
+};
+
+test('populates nested one-to-many relations', async () => {
+  const { Customer } = await setup();
+  const customer = await Customer.get({ id: 'c1' }, ['orders', 'orders.items', 'orders.items.product']);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(customer)), {
+    id: 'c1',
+    name: 'Ann',
+    orders: [{
+      id: 'o1',
+      total: 5,
+      items: [
+        { orderId: 'o1', n: 1, product: { id: 'p1', title: 'Pen' } },
+        { orderId: 'o1', n: 2, product: { id: 'p1', title: 'Pen' } }
+      ]
+    }]
+  });
+});
+
+test('populates the references of found models', async () => {
+  const { Order } = await setup();
+  const order = await Order.get({ id: 'o2' }, ['customer']);
+  assert.strictEqual(order.customer.name, 'Ann');
+
+  const result = await Order.find({ where: { customer: 'c1' } }, ['customer']);
+  assert.deepStrictEqual(result.Items.map(o => o.customer.name), ['Ann', 'Ann']);
+});
+
+test('queries each related key once with a limit of queries in flight', async () => {
+  const calls = [];
+  const configure = (schema, name) => {
+    schema.pre('find', () => { calls.push(`${name} pre find`); });
+  };
+  const { client, Customer, Order } = await createModels(definitions, { configure });
+  for (let i = 0; i < 6; i++) {
+    await new Customer({ id: `c${i}` }).save();
+    await new Order({ id: `o${i}`, customer: { id: `c${i}` }, total: 2 }).save();
+  }
+  await new Order({ id: 'o6', customer: { id: 'c0' }, total: 3 }).save();
+
+  const query = client.query.bind(client);
+  let inFlight = 0;
+  let maxInFlight = 0;
+  let queries = 0;
+  client.query = params => ({
+    promise: async () => {
+      queries++;
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      try {
+        await new Promise(resolve => setImmediate(resolve));
+        return await query(params).promise();
+      } finally {
+        inFlight--;
+      }
+    }
+  });
+
+  const { Items: customers } = await Customer.find({}, ['orders'], { concurrency: 2 });
+  assert.strictEqual(customers.length, 6);
+  assert.deepStrictEqual(customers.find(c => c.id === 'c0').orders.map(o => o.id).sort(), ['o0', 'o6']);
+  assert.strictEqual(queries, 6);
+  assert.strictEqual(maxInFlight, 2);
+
+  // The orders of the items with the same customer are queried once
+  queries = 0;
+  const { Items: orders } = await Order.find({ where: { customer: 'c0' } }, ['customer', 'customer.orders']);
+  assert.deepStrictEqual(orders.map(o => o.customer.orders.length), [2, 2]);
+  assert.strictEqual(queries, 2);
+  assert.deepStrictEqual(calls, ['Customer pre find', 'Order pre find']);
+});
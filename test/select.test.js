@@ -0,0 +1,99 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DynormError } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  Person: {
+    $id: 'Person',
+    tableName: 'people',
+    relations: {
+      posts: { hasMany: 'Post', foreignKey: 'author', select: ['title'] },
+      groups: { manyToMany: 'Group', through: 'Membership', foreignKey: 'person', otherKey: 'group', select: ['name'] }
+    },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      name: { type: 'string' },
+      bio: { type: 'string' },
+      address: { type: 'object', properties: { city: { type: 'string' }, zip: { type: 'string' } } },
+      version: { type: 'integer', version: true }
+    }
+  },
+  Post: {
+    $id: 'Post',
+    tableName: 'posts',
+    indexes: { authorIndex: { hashKey: 'author' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      author: { $ref: 'Person', join: { authorId: 'id' } },
+      title: { type: 'string' },
+      body: { type: 'string' }
+    }
+  },
+  Group: {
+    $id: 'Group',
+    tableName: 'groups',
+    properties: {
+      id: { type: 'string', hashKey: true },
+      name: { type: 'string' },
+      description: { type: 'string' }
+    }
+  },
+  Membership: {
+    $id: 'Membership',
+    tableName: 'memberships',
+    indexes: { personIndex: { hashKey: 'person' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      person: { $ref: 'Person', join: { personId: 'id' } },
+      group: { $ref: 'Group', join: { groupId: 'id' } }
+    }
+  }
+};
+
+const setup = async () => {
+  const models = await createModels(definitions);
+  const { Person, Post, Group, Membership } = models;
+  await new Person({ id: 'p1', name: 'Ann', bio: 'Long bio', address: { city: 'Oslo', zip: '0150' } }).save();
+  await new Post({ id: 'a1', author: { id: 'p1' }, title: 'Hello', body: 'Long body' }).save();
+  await new Group({ id: 'g1', name: 'Admins', description: 'Long description' }).save();
+  await new Membership({ id: 'm1', person: { id: 'p1' }, group: { id: 'g1' } }).save();
+  return models;
+};
+
+test('projects the selected paths with escaped names', async () => {
+  const { client, Person } = await setup();
+  const { params } = await Person.find({ where: { id: 'p1' }, explain: true }, [], { select: ['name', 'address.city'] });
+  assert.strictEqual(params.ProjectionExpression, '#p0, #p1, #p2, #p3.#p4');
+  const paths = params.ProjectionExpression.split(', ').map(path => path.split('.').map(n => params.ExpressionAttributeNames[n]).join('.'));
+  assert.deepStrictEqual(paths, ['id', 'version', 'name', 'address.city']);
+
+  const person = await Person.get({ id: 'p1' }, [], { select: ['name', 'address.city'] });
+  assert.ok(person.isPartial());
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(person)), { id: 'p1', name: 'Ann', address: { city: 'Oslo' }, version: 1 });
+  const { Items } = await Person.scan().select(['bio']).exec();
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(Items)), [{ id: 'p1', bio: 'Long bio', version: 1 }]);
+
+  // The save of a partial model only updates the loaded paths
+  person.name = 'Anna';
+  person.address.city = 'Bergen';
+  await person.save();
+  const item = (await client.get({ TableName: 'people', Key: { id: 'p1' } }).promise()).Item;
+  assert.deepStrictEqual(item, { id: 'p1', name: 'Anna', bio: 'Long bio', address: { city: 'Bergen', zip: '0150' }, version: 2 });
+
+  await assert.rejects(new Person({ id: 'p2', name: 'Bob' })._partial(['name']).save(), DynormError);
+});
+
+test('populates the selected paths of the relations', async () => {
+  const { Person } = await setup();
+  const person = await Person.get({ id: 'p1' }, ['posts', 'groups']);
+  assert.deepStrictEqual(person.posts.map(post => [post.title, post.body, post.isPartial()]), [['Hello', undefined, true]]);
+  assert.deepStrictEqual(person.groups.map(group => [group.name, group.description, group.isPartial()]), [['Admins', undefined, true]]);
+
+  const [group] = person.groups;
+  group.name = 'Owners';
+  await group.save();
+  assert.strictEqual((await group.constructor.get({ id: 'g1' })).description, 'Long description');
+});
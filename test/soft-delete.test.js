@@ -0,0 +1,121 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RelationError, UniqueConstraintError } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  Customer: {
+    $id: 'Customer',
+    tableName: 'customers',
+    softDelete: true,
+    indexes: { emailIndex: { hashKey: 'email', unique: true } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      email: { type: 'string' },
+      deletedAt: { type: 'string', format: 'date-time' },
+      deletedBy: { type: 'string' }
+    }
+  },
+  Order: {
+    $id: 'Order',
+    tableName: 'orders',
+    softDelete: true,
+    indexes: { customerIndex: { hashKey: 'customer' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      customer: { $ref: 'Customer', join: { customerId: 'id' }, onDelete: 'cascade' },
+      deletedAt: { type: 'string', format: 'date-time' },
+      deletedBy: { type: 'string' }
+    }
+  },
+  Ticket: {
+    $id: 'Ticket',
+    tableName: 'tickets',
+    indexes: { customerIndex: { hashKey: 'customer' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      customer: { $ref: 'Customer', join: { customerId: 'id' }, onDelete: 'restrict' }
+    }
+  }
+};
+
+const setup = async () => {
+  const { Customer, Order, Ticket } = await createModels(definitions);
+  const customer = new Customer({ id: 'c1', email: 'a@x' });
+  await customer.save();
+  return { Customer, Order, Ticket, customer };
+};
+
+test('hides soft deleted models unless withDeleted', async () => {
+  const { Customer, customer } = await setup();
+  await customer.del({ by: 'admin' });
+  assert.ok(customer.deletedAt instanceof Date);
+  assert.strictEqual(customer.deletedBy, 'admin');
+
+  assert.strictEqual(await Customer.get({ id: 'c1' }), null);
+  assert.ok(await Customer.get({ id: 'c1' }, [], { withDeleted: true }));
+  assert.strictEqual((await Customer.find({})).Count, 0);
+  assert.strictEqual((await Customer.scan().withDeleted().exec()).Count, 1);
+
+  // The caller params can use the same placeholders
+  const params = { FilterExpression: '#deletedAt < :now', ExpressionAttributeNames: { '#deletedAt': 'deletedAt' }, ExpressionAttributeValues: { ':now': Date.now() + 1000 } };
+  assert.strictEqual((await Customer.find(Object.assign({}, params))).Count, 0);
+  assert.strictEqual((await Customer.find(Object.assign({}, params), [], { withDeleted: true })).Count, 1);
+});
+
+test('releases the unique guards until restore', async () => {
+  const { Customer, customer } = await setup();
+  await customer.del();
+  const other = new Customer({ id: 'c2', email: 'a@x' });
+  await other.save();
+  await assert.rejects(customer.restore(), UniqueConstraintError);
+
+  await other.forceDelete();
+  await customer.restore();
+  assert.strictEqual(customer.deletedAt, undefined);
+  assert.strictEqual((await Customer.get({ id: 'c1' })).email, 'a@x');
+  await assert.rejects(new Customer({ id: 'c3', email: 'a@x' }).save(), UniqueConstraintError);
+});
+
+test('applies the onDelete of the references on soft delete', async () => {
+  const { Customer, Order, Ticket, customer } = await setup();
+  await new Order({ id: 'o1', customer: { id: 'c1' } }).save();
+  const ticket = new Ticket({ id: 't1', customer: { id: 'c1' } });
+  await ticket.save();
+
+  const plan = await customer.del({ dryRun: true });
+  assert.strictEqual(plan.soft, true);
+  assert.deepStrictEqual(plan.cascade, [{ model: 'Order', key: { id: 'o1' }, field: 'customer', soft: true }]);
+  assert.deepStrictEqual(plan.restrict, [{ model: 'Ticket', key: { id: 't1' }, field: 'customer' }]);
+  await assert.rejects(customer.del(), RelationError);
+  assert.ok(await Customer.get({ id: 'c1' }));
+
+  await ticket.del();
+  await customer.del({ by: 'admin' });
+  assert.strictEqual(await Customer.get({ id: 'c1' }), null);
+  assert.strictEqual(await Order.get({ id: 'o1' }), null);
+  assert.strictEqual((await Order.get({ id: 'o1' }, [], { withDeleted: true })).deletedBy, 'admin');
+});
+
+test('soft deletes without the save hooks, with and without unique guards', async () => {
+  const calls = [];
+  const configure = (schema, name) => {
+    ['validate', 'save', 'del'].forEach(op => schema.pre(op, () => { calls.push(`${name} pre ${op}`); }));
+    schema.post('del', model => { calls.push(`${name} post del ${model.isModified()}`); });
+  };
+  const { Customer, Order } = await createModels(definitions, { configure });
+  const customer = new Customer({ id: 'c1', email: 'a@x' });
+  await customer.save();
+  const order = new Order({ id: 'o1' });
+  await order.save();
+  calls.length = 0;
+
+  await customer.del();
+  await order.del({ by: 'admin' });
+  assert.deepStrictEqual(calls, ['Customer pre del', 'Customer post del false', 'Order pre del', 'Order post del false']);
+  assert.strictEqual(await Customer.get({ id: 'c1' }), null);
+  assert.strictEqual((await Order.get({ id: 'o1' }, [], { withDeleted: true })).deletedBy, 'admin');
+  await new Customer({ id: 'c2', email: 'a@x' }).save();
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  User: {
+    $id: 'User',
+    tableName: 'app',
+    entity: 'user',
+    properties: {
+      pk: { type: 'string', hashKey: true, template: 'USER#{id}' },
+      id: { type: 'string' },
+      name: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Order: {
+    $id: 'Order',
+    tableName: 'app',
+    entity: 'order',
+    properties: {
+      pk: { type: 'string', hashKey: true, template: 'ORDER#{id}' },
+      id: { type: 'string' },
+      total: { type: 'number' }
+    }
+  }
+};
+
+const arn = 'arn:aws:dynamodb:us-east-1:123456789012:table/dev-app/stream/2024-01-01T00:00:00.000';
+const record = (n, eventName, Keys, OldImage, NewImage) => ({ eventID: `e${n}`, eventName, eventSourceARN: arn, dynamodb: { SequenceNumber: String(n), Keys, OldImage, NewImage } });
+const userKeys = { pk: { S: 'USER#1' } };
+const ann = { pk: { S: 'USER#1' }, _type: { S: 'user' }, name: { S: 'Ann' }, createdAt: { N: '1600000000000' } };
+const bob = Object.assign({}, ann, { name: { S: 'Bob' } });
+const order = { pk: { S: 'ORDER#9' }, _type: { S: 'order' }, total: { N: '12.5' } };
+
+const setup = () => createModels(definitions, { tablePrefix: 'dev-', sync: false });
+
+test('parses stream records into models', async () => {
+  const { User } = await setup();
+  const change = User.fromStreamRecord(record(1, 'MODIFY', userKeys, ann, bob));
+  assert.strictEqual(change.eventName, 'MODIFY');
+  assert.deepStrictEqual(change.key, { pk: 'USER#1' });
+  assert.strictEqual(change.oldModel.name, 'Ann');
+  assert.strictEqual(change.newModel.id, '1');
+  assert.ok(change.newModel.createdAt instanceof Date);
+  assert.deepStrictEqual(change.changedFields, ['name']);
+});
+
+test('dispatches the records by entity and reports partial batch failures', async () => {
+  const { orm } = await setup();
+  const seen = [];
+  const handler = orm.streamHandler({
+    User: {
+      insert: async ({ newModel }) => { seen.push(`insert ${newModel.name}`); },
+      modify: async ({ changedFields }) => { seen.push(`modify ${changedFields}`); }
+    },
+    Order: {
+      remove: async ({ oldModel }) => { if (oldModel.total > 10) { throw new Error('refund failed'); } }
+    }
+  });
+
+  const Records = [
+    record(1, 'INSERT', userKeys, undefined, ann),
+    record(2, 'MODIFY', userKeys, ann, bob),
+    record(3, 'REMOVE', { pk: order.pk }, order),
+    record(4, 'INSERT', userKeys, undefined, ann)
+  ];
+  assert.deepStrictEqual(await handler({ Records }), { batchItemFailures: [{ itemIdentifier: '3' }, { itemIdentifier: '4' }] });
+  assert.deepStrictEqual(seen, ['insert Ann', 'modify name']);
+  assert.throws(() => orm.streamHandler({ User: { update: () => {} } }), /Stream event update not supported/);
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  User: {
+    $id: 'User',
+    tableName: 'users',
+    stream: true,
+    indexes: { emailIndex: { hashKey: 'email' }, nameIndex: { hashKey: 'name' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      email: { type: 'string' },
+      name: { type: 'string' },
+      expiresAt: { type: 'integer', ttl: true }
+    }
+  }
+};
+
+const setup = () => createModels(definitions, { sync: false });
+
+test('creates the table with the indexes, the stream and the TTL', async () => {
+  const { client, User } = await setup();
+  const { createTable, updateTimeToLive } = await User.createTable({ dryRun: true });
+  assert.deepStrictEqual(createTable.KeySchema, [{ AttributeName: 'id', KeyType: 'HASH' }]);
+  assert.deepStrictEqual(createTable.GlobalSecondaryIndexes.map(i => i.IndexName), ['emailIndex', 'nameIndex']);
+  assert.deepStrictEqual(createTable.StreamSpecification, { StreamEnabled: true, StreamViewType: 'NEW_AND_OLD_IMAGES' });
+  assert.deepStrictEqual(updateTimeToLive, { TableName: 'users', TimeToLiveSpecification: { AttributeName: 'expiresAt', Enabled: true } });
+  await assert.rejects(client.describeTable({ TableName: 'users' }).promise(), /not found/);
+
+  await User.createTable();
+  const { Table: table } = await client.describeTable({ TableName: 'users' }).promise();
+  assert.strictEqual(table.GlobalSecondaryIndexes.length, 2);
+  const { TimeToLiveDescription: ttl } = await client.describeTimeToLive({ TableName: 'users' }).promise();
+  assert.strictEqual(ttl.AttributeName, 'expiresAt');
+});
+
+test('describes the table as a CloudFormation resource', async () => {
+  const { User } = await setup();
+  const { UserTable: resource } = User.cloudFormation();
+  assert.strictEqual(resource.Type, 'AWS::DynamoDB::Table');
+  assert.strictEqual(resource.Properties.TableName, 'users');
+  assert.deepStrictEqual(resource.Properties.StreamSpecification, { StreamViewType: 'NEW_AND_OLD_IMAGES' });
+  assert.deepStrictEqual(resource.Properties.TimeToLiveSpecification, { AttributeName: 'expiresAt', Enabled: true });
+  assert.ok(User.cloudFormation('Users').Users);
+});
+
+test('reports the differences without apply', async () => {
+  const { orm, client } = await setup();
+  const [report] = await orm.sync();
+  assert.deepStrictEqual([report.exists, report.applied, report.actions.map(a => a.type)], [false, false, ['createTable', 'updateTimeToLive']]);
+  await assert.rejects(client.describeTable({ TableName: 'users' }).promise(), /not found/);
+
+  // A table with an index that is not in the schema and without the index of the schema
+  await client.createTable({
+    TableName: 'users',
+    KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }, { AttributeName: 'old', AttributeType: 'S' }],
+    GlobalSecondaryIndexes: [{ IndexName: 'oldIndex', KeySchema: [{ AttributeName: 'old', KeyType: 'HASH' }], Projection: { ProjectionType: 'ALL' } }],
+    BillingMode: 'PAY_PER_REQUEST'
+  }).promise();
+  const [diff] = await orm.sync();
+  assert.deepStrictEqual(diff.actions.map(a => [a.type, a.index || a.attributeName]), [['createIndex', 'emailIndex'], ['createIndex', 'nameIndex'], ['updateTimeToLive', 'expiresAt']]);
+  assert.deepStrictEqual(diff.warnings, ['Global index oldIndex is not defined in the schema']);
+});
+
+test('waits for the table to be ACTIVE between the updates', async () => {
+  const { orm, client } = await setup();
+  await client.createTable({
+    TableName: 'users',
+    KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+    BillingMode: 'PAY_PER_REQUEST'
+  }).promise();
+
+  // Each index is CREATING for the next two describeTable requests
+  const calls = [];
+  let creating = 0;
+  const describeTable = client.describeTable.bind(client);
+  const updateTable = client.updateTable.bind(client);
+  const updateTimeToLive = client.updateTimeToLive.bind(client);
+  client.describeTable = params => {
+    const request = describeTable(params);
+    return {
+      promise: async () => {
+        const data = await request.promise();
+        if (creating > 0) {
+          creating--;
+          data.Table.GlobalSecondaryIndexes.forEach(i => { i.IndexStatus = 'CREATING'; });
+        }
+        calls.push(`describe ${(data.Table.GlobalSecondaryIndexes || []).map(i => i.IndexStatus).join(',')}`);
+        return data;
+      }
+    };
+  };
+  client.updateTable = params => {
+    calls.push(`create ${params.GlobalSecondaryIndexUpdates[0].Create.IndexName}`);
+    creating = 2;
+    return updateTable(params);
+  };
+  client.updateTimeToLive = params => {
+    calls.push('ttl');
+    return updateTimeToLive(params);
+  };
+
+  await orm.sync({ apply: true, waitDelay: 1 });
+  assert.deepStrictEqual(calls.filter(c => !c.startsWith('describe ACTIVE') && c !== 'describe '), [
+    'create emailIndex', 'describe CREATING', 'describe CREATING',
+    'create nameIndex', 'describe CREATING,CREATING', 'describe CREATING,CREATING',
+    'ttl'
+  ]);
+  assert.strictEqual(calls[calls.length - 1], 'describe ACTIVE,ACTIVE');
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  Session: {
+    $id: 'Session',
+    tableName: 'sessions',
+    indexes: { userIndex: { hashKey: 'user' } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      user: { type: 'string' },
+      expiresAt: { type: 'string', format: 'date-time', ttl: true, expiresIn: '30d' }
+    }
+  }
+};
+
+const setup = async () => {
+  const { orm, Session } = await createModels(definitions, { sync: false });
+  const reports = await orm.sync({ apply: true });
+  return { orm, Session, reports };
+};
+
+test('enables the TTL and stores epoch seconds', async () => {
+  const { orm, Session, reports } = await setup();
+  assert.ok(reports[0].actions.find(a => a.type === 'updateTimeToLive' && a.attributeName === 'expiresAt'));
+  assert.deepStrictEqual((await orm.sync())[0].actions, []);
+
+  const session = new Session({ id: 's1', user: 'u' });
+  await session.save();
+  const expires = Date.now() + 30 * 86400000;
+  assert.ok(Math.abs(session.expiresAt.getTime() - expires) < 60000);
+  const item = (await orm.client.get({ TableName: 'sessions', Key: { id: 's1' } }).promise()).Item;
+  assert.strictEqual(item.expiresAt, Math.floor(session.expiresAt.getTime() / 1000));
+});
+
+test('hides expired models unless withExpired', async () => {
+  const { Session } = await setup();
+  await new Session({ id: 's1', user: 'u' }).save();
+  const expired = new Session({ id: 's2', user: 'u', expiresAt: new Date(Date.now() - 1000) });
+  await expired.save();
+
+  assert.strictEqual(await Session.get({ id: 's2' }), null);
+  assert.ok(await Session.get({ id: 's2' }, [], { withExpired: true }));
+  assert.strictEqual((await Session.find({ where: { user: 'u' } })).Count, 1);
+  assert.strictEqual((await Session.find({ where: { user: 'u' } }, [], { withExpired: true })).Count, 2);
+
+  const params = { FilterExpression: '#ttl > :zero', ExpressionAttributeNames: { '#ttl': 'expiresAt' }, ExpressionAttributeValues: { ':zero': 0 } };
+  assert.strictEqual((await Session.find(Object.assign({}, params))).Count, 1);
+  assert.strictEqual((await Session.find(Object.assign({}, params), [], { withExpired: true })).Count, 2);
+
+  await expired.touch('1h');
+  assert.ok(await Session.get({ id: 's2' }));
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Dynorm, Schema, MemoryClient } = require('..');
+const { createModels } = require('./helpers');
+
+const money = { jsonSchema: { type: 'number' }, toDynamo: v => Math.round(v * 100), fromDynamo: v => v / 100 };
+
+const definitions = {
+  Product: {
+    $id: 'Product',
+    tableName: 'products',
+    properties: {
+      id: { type: 'string', hashKey: true },
+      price: { type: 'money' },
+      tags: { type: 'array', uniqueItems: true, items: { type: 'string' } },
+      status: { type: 'enum', enum: ['draft', 'live'] },
+      amount: { type: 'decimal' }
+    }
+  }
+};
+
+test('stores properties with the codec of their type', async () => {
+  const { orm, Product } = await createModels(definitions, { types: { money } });
+
+  await new Product({ id: '1', price: 1.5 }).save();
+  const item = (await orm.client.get({ TableName: 'products', Key: { id: '1' } }).promise()).Item;
+  assert.strictEqual(item.price, 150);
+  assert.strictEqual((await Product.get({ id: '1' })).price, 1.5);
+});
+
+test('marshals condition operands of sets, enums and decimals', async () => {
+  const { Product } = await createModels(definitions, { types: { money } });
+  await new Product({ id: '1', tags: ['ab', 'c'], status: 'live', amount: '12.50' }).save();
+  await new Product({ id: '2', tags: ['d'], status: 'draft', amount: '3' }).save();
+  const ids = async fn => (await fn(Product.scan()).exec()).Items.map(p => p.id).sort();
+
+  assert.deepStrictEqual(await ids(s => s.filter('tags').contains('ab')), ['1']);
+  assert.deepStrictEqual(await ids(s => s.filter('tags').eq(['c', 'ab'])), ['1']);
+  assert.deepStrictEqual(await ids(s => s.filter('tags').in([['d'], ['x']])), ['2']);
+  assert.deepStrictEqual(await ids(s => s.filter('status').eq('live')), ['1']);
+  assert.deepStrictEqual(await ids(s => s.filter('status').in(['draft', 'live'])), ['1', '2']);
+  assert.deepStrictEqual(await ids(s => s.filter('amount').eq('12.50')), ['1']);
+  assert.deepStrictEqual(await ids(s => s.filter('amount').in(['3', 4])), ['2']);
+  assert.strictEqual((await Product.find({ where: { tags: { $contains: 'd' } }, allowScan: true })).Count, 1);
+});
+
+test('does not share the converted definitions between instances', () => {
+  // Two instances on one definitions object, only one of them has the codec
+  const shared = JSON.parse(JSON.stringify({ definitions }));
+  const a = new Dynorm({ client: new MemoryClient(), schema: shared, logLevel: 'silent' });
+  const b = new Dynorm({ client: new MemoryClient(), schema: shared, logLevel: 'silent' });
+  a.type('money', money);
+
+  const Product = a.model('Product', new Schema('Product', a));
+  assert.strictEqual(shared.definitions.Product.properties.price.type, 'money');
+  assert.strictEqual(Product.schema.properties.price.codec, 'money');
+  assert.throws(() => new Schema('Product', b), /Type money not exist/);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DynormError, UniqueConstraintError } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  Account: {
+    $id: 'Account',
+    tableName: 'accounts',
+    indexes: { emailIndex: { hashKey: 'email', unique: true } },
+    properties: {
+      id: { type: 'string', hashKey: true },
+      email: { type: 'string' },
+      name: { type: 'string' }
+    }
+  }
+};
+
+const setup = () => createModels(definitions);
+
+test('rejects duplicates of unique indexes with guard items', async () => {
+  const { Account } = await setup();
+  await new Account({ id: '1', email: 'a@x' }).save();
+  await assert.rejects(new Account({ id: '2', email: 'a@x' }).save(), UniqueConstraintError);
+
+  // The guard moves with the value
+  const account = await Account.get({ id: '1' });
+  account.email = 'b@x';
+  await account.save();
+  await new Account({ id: '2', email: 'a@x' }).save();
+  await assert.rejects(new Account({ id: '3', email: 'b@x' }).save(), UniqueConstraintError);
+  assert.strictEqual((await Account.find()).Count, 2);
+});
+
+test('fills the pages of find() without the guard items', async () => {
+  const { Account } = await setup();
+  // The guard keys UNIQUE#... sort before the lowercase ids
+  for (const id of ['a', 'b', 'c', 'd']) {
+    await new Account({ id, email: `${id}@x` }).save();
+  }
+  const pages = [];
+  let after;
+  do {
+    const result = await Account.scan().limit(2).after(after).exec();
+    pages.push(result.Items.map(a => a.id));
+    assert.strictEqual(result.Count, result.Items.length);
+    after = result.cursor;
+  } while (after && pages.length < 10);
+  assert.deepStrictEqual(pages.slice(0, 2).map(p => p.length), [2, 2]);
+  assert.deepStrictEqual(pages.flat().sort(), ['a', 'b', 'c', 'd']);
+});
+
+test('rejects updates of guarded index keys', async () => {
+  const { orm, Account } = await setup();
+  await new Account({ id: '1', email: 'a@x' }).save();
+  await new Account({ id: '2', email: 'b@x' }).save();
+
+  await assert.rejects(Account.update({ id: '2' }, { $set: { email: 'a@x' } }), /email is a key of the unique index emailIndex/);
+  await assert.rejects(Account.update({ id: '2' }, { $remove: ['email'] }), DynormError);
+  await assert.rejects(orm.transaction(tx => tx.update(Account, { id: '2' }, { $set: { email: 'a@x' } })), DynormError);
+
+  const account = await Account.update({ id: '2' }, { $set: { name: 'Bob' } });
+  assert.strictEqual(account.email, 'b@x');
+});
+
+test('checks unique indexes with guard: false with a query of the index', async () => {
+  const defs = JSON.parse(JSON.stringify(definitions));
+  defs.Account.indexes.emailIndex.guard = false;
+  const { client, Account } = await createModels(defs);
+  await new Account({ id: '1', email: 'a@x' }).save();
+  await assert.rejects(new Account({ id: '2', email: 'a@x' }).save(), UniqueConstraintError);
+  assert.strictEqual((await client.scan({ TableName: 'accounts' }).promise()).Count, 1);
+});
+
+test('rejects guards on tables with number keys', async () => {
+  const defs = JSON.parse(JSON.stringify(definitions));
+  defs.Account.properties.id.type = 'integer';
+  await assert.rejects(createModels(defs), /guard requires string table keys, id is N/);
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DynormError, NotFoundError, ValidationError, VersionConflictError } = require('..');
+const { createModels } = require('./helpers');
+
+const definitions = {
+  User: {
+    $id: 'User',
+    tableName: 'users',
+    properties: {
+      id: { type: 'string', hashKey: true },
+      name: { type: 'string' },
+      status: { type: 'string' },
+      email: { type: 'string' },
+      visits: { type: 'integer' },
+      address: { type: 'object', properties: { city: { type: 'string' } } },
+      tags: { type: 'array', items: { type: 'string' } },
+      roles: { type: 'array', uniqueItems: true, items: { type: 'string', enum: ['admin', 'editor'] } },
+      version: { type: 'integer', version: true }
+    }
+  }
+};
+
+const setup = async () => {
+  const { orm, User } = await createModels(definitions);
+  await new User({ id: '1', name: 'Ann', status: 'new', address: { city: 'Rome' }, tags: ['a'] }).save();
+  return { orm, User };
+};
+
+test('updates with the update operators', async () => {
+  const { orm, User } = await setup();
+  const user = await User.update({ id: '1' }, {
+    $set: { 'address.city': 'Oslo' },
+    $inc: { visits: 2 },
+    $append: { tags: ['b'] },
+    $remove: ['status'],
+    $setIfNotExists: { email: 'ann@x', name: 'Bob' }
+  });
+  assert.strictEqual(user.address.city, 'Oslo');
+  assert.strictEqual(user.visits, 2);
+  assert.strictEqual(user.name, 'Ann');
+  assert.strictEqual(user.email, 'ann@x');
+  assert.strictEqual(user.version, 2);
+  await User.update({ id: '1' }, { $prepend: { tags: 'z' } });
+
+  const item = (await orm.client.get({ TableName: 'users', Key: { id: '1' } }).promise()).Item;
+  assert.deepStrictEqual(item.tags, ['z', 'a', 'b']);
+  assert.strictEqual(item.status, undefined);
+});
+
+test('rejects updates with failed conditions, versions and values', async () => {
+  const { User } = await setup();
+  await assert.rejects(User.update({ id: '1' }, { $set: { name: 'Bob' } }, { condition: { status: 'old' } }), /User condition failed/);
+  await assert.rejects(User.update({ id: '1' }, { $set: { name: 'Bob', version: 5 } }), VersionConflictError);
+  await assert.rejects(User.update({ id: '1' }, { $set: { name: 5 } }), ValidationError);
+  assert.strictEqual((await User.update({ id: '1' }, { $set: { name: 'Bob', version: 1 } }, { condition: c => c.filter('status').eq('new') })).name, 'Bob');
+});
+
+test('rejects updates of missing items, keys and invalid operands', async () => {
+  const { orm, User } = await setup();
+  await assert.rejects(User.update({ id: 'zzz' }, { $set: { name: 'Bob' } }), NotFoundError);
+  assert.strictEqual((await orm.client.get({ TableName: 'users', Key: { id: 'zzz' } }).promise()).Item, undefined);
+
+  await assert.rejects(User.update({ id: '1' }, { $set: { id: '2' } }), /id is part of the key/);
+  await assert.rejects(User.update({ id: '1' }, { $inc: { version: 1 } }), DynormError);
+  await assert.rejects(User.update({ id: '1' }, { $inc: { visits: '1' } }), ValidationError);
+  await assert.rejects(User.update({ id: '1' }, { $inc: { name: 1 } }), /name of type string does not support \$inc/);
+  await assert.rejects(User.update({ id: '1' }, { $add: { roles: ['owner'] } }), ValidationError);
+  await assert.rejects(User.update({ id: '1' }, { $delete: { visits: [1] } }), ValidationError);
+
+  await User.update({ id: '1' }, { $add: { roles: ['admin', 'editor'], visits: 1 } });
+  const user = await User.update({ id: '1' }, { $delete: { roles: 'editor' } });
+  assert.deepStrictEqual(user.roles, ['admin']);
+  assert.strictEqual(user.visits, 1);
+});